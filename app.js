@@ -12,44 +12,483 @@
     // Configuration
     // =========================================
     const CONFIG = {
-        steps: 16,
-        rows: 6,
+        defaultSteps: 16,
+        minSteps: 1,
+        maxSteps: 64,
+        defaultMeter: '4/4',     // Key of METERS
+        defaultResolution: '16', // Key of STEP_RESOLUTIONS
+        maxTracks: 16,
         defaultBpm: 120,
-        minBpm: 60,
-        maxBpm: 180,
-        storageKey: 'beatSequencer_pattern',
+        minBpm: 20,
+        maxBpm: 300,
+        bpmDecimals: 2,          // Tempos are kept to 1/100 BPM
+        tapTempoTaps: 8,         // Most recent taps averaged by Tap
+        tapTempoTimeout: 2000,   // ms without a tap before Tap starts a new count
+        // Swing: percentage of a step pair given to the on-beat (50 = straight)
+        defaultSwing: 50,
+        minSwing: 50,
+        maxSwing: 75,
+        // Per-step micro-timing, in 1/24ths of a step
+        nudgeTicksPerStep: 24,
+        maxNudgeTicks: 12,
+        storageKey: 'beatSequencer_pattern',      // Pre-library single save (migrated on load)
+        libraryStorageKey: 'beatSequencer_library',
+        saveVersion: 2,                           // Schema version of saves, files and share links
+        fileFormat: 'kova-beat-sequencer',
+        maxReportedErrors: 5,
+        maxTags: 8,
+        kitStorageKey: 'beatSequencer_kits',
+        midiStorageKey: 'beatSequencer_midi',
+        sampleDbName: 'beatSequencer_samples',    // IndexedDB database holding sample audio
+        maxSampleBytes: 20 * 1024 * 1024,
+        maxSampleStart: 0.95,    // Latest start offset, as a fraction of the sample
+        chokeGroups: 4,          // Groups 1-4; 0 = no choke
+        previewThrottle: 120,    // Min ms between live previews while editing sounds
+        bankSize: 16,            // Pattern slots A-P
+        maxSongRepeats: 64,
+        // Mixer
+        defaultTrackVolume: 1,   // Unity gain
+        maxTrackVolume: 1.5,
+        maxDelayTime: 2,         // Seconds; longest echo at slow tempos
+        reverbRebuildDelay: 150, // Ms a live size change settles before the room is rebuilt
         // Scheduler config for look-ahead pattern
         scheduleAheadTime: 0.1,  // How far ahead to schedule (seconds)
-        lookaheadInterval: 25    // How often to call scheduler (ms)
+        lookaheadInterval: 25,   // How often to call scheduler (ms)
+        masterVolume: 0.7,
+        // Visualizer and meters
+        spectrumMinFrequency: 20,  // Hz at the low end of the spectrum views (log scale)
+        spectrumMinDb: -90,      // Analyser range shown by the spectrum views
+        spectrumMaxDb: -10,
+        meterFftSize: 1024,      // Samples a track meter reads; more than a frame's worth
+        meterFloorDb: -60,       // Bottom of the meters; anything quieter is silence
+        meterPeakFall: 20,       // dB per second a meter's peak mark falls
+        visualizerIdleMs: 500,   // Silence after playback before drawing pauses
+        exportSampleRate: 44100,
+        maxExportBars: 64,
+        maxExportTail: 10,       // Seconds of release rendered after the last bar
+        midiPpq: 96,             // Ticks per quarter note; a 16th step = 24 ticks = one nudge tick each
+        midiDrumChannel: 9,      // Channel 10, zero-based
+        midiNoteSteps: 0.5,      // Exported/sent note length (steps)
+        midiClocksPerQuarter: 24,
+        midiClockWindow: 24,     // Clock pulses averaged when following tempo
+        midiClockCorrection: 0.5, // Share of the drift from incoming clock taken out at each step
+        
+        // Undo history
+        historyLimit: 100,          // Undo steps kept
+        historyMaxChars: 2000000,   // Rough memory cap across undo + redo snapshots
+        historyCoalesceMs: 1000,    // Same-kind edits closer than this merge (drags, sliders)
+        
+        // Live recording
+        recordStepHistory: 16,   // Recently scheduled steps kept for snapping hits
+        maxFrequency: 18000,     // Ceiling for voice oscillators/filters (Hz)
+        // Dragging on a cell
+        dragThreshold: 4,        // Pixels before a press becomes a drag
+        dragVelocityPerPixel: 1, // Velocity change per pixel dragged
+        dragPixelsPerNudgeTick: 3, // Horizontal pixels per micro-timing tick
+        maxGeneratorSeed: 1000000, // Generator seeds run 0 to this - 1
+        lockHoldMs: 400,         // Holding an active step this long opens its locks
+        maxTrigCycle: 8,         // Longest "A:B" loop cycle a step can follow
+        maxRatchet: 8,           // Most repeats a step can fire
+        ratchetRampFloor: 0.3,   // Quietest repeat of a ramp, relative to the step's velocity
+        // Note tracks (bass synth)
+        minNote: 24,             // C1, lowest note on the piano roll (MIDI note number)
+        maxNote: 60,             // C4
+        rootNote: 36,            // C2; the key's root here is the default note
+        synthGate: 0.5,          // Unheld notes sound this fraction of their step
+        slideTime: 0.06,         // Seconds to glide into the next note
+        midiSynthChannel: 0      // Channel 1, zero-based; note tracks in MIDI files
+    };
+
+    // Synth voices a track can use
+    const SOUNDS = ['kick', 'snare', 'hihat', 'openhat', 'tom', 'clap', 'rim', 'bass'];
+
+    // Voices that play a note per step (edited on the piano roll)
+    const SYNTH_SOUNDS = ['bass'];
+
+    // The starting track list, which is also what saves without track data had
+    const DEFAULT_TRACKS = ['kick', 'snare', 'hihat', 'tom', 'clap', 'rim'];
+
+    // Row label for each synth voice
+    const SOUND_LABELS = { kick: 'Kick', snare: 'Snare', hihat: 'Hi-Hat', openhat: 'Open Hat', tom: 'Tom', clap: 'Clap', rim: 'Rim', bass: 'Bass' };
+
+    // New tracks of these voices share a choke group: a closed hat cuts an open one
+    const DEFAULT_CHOKE_GROUPS = { hihat: 1, openhat: 1 };
+
+    // Drag data type for reordering tracks (files dropped as samples are 'Files')
+    const TRACK_DRAG_TYPE = 'application/x-kova-track';
+
+    // General MIDI percussion notes written on export
+    const MIDI_DRUM_NOTES = { kick: 36, snare: 38, hihat: 42, openhat: 46, tom: 45, clap: 39, rim: 37 };
+
+    // Default note map: GM notes close enough to each drum to land on its row.
+    // The first note per row is also the one sent to MIDI outputs. Later
+    // entries win, so 46 goes to an open hat row when there is one.
+    const DEFAULT_MIDI_MAP = 'kick:36,35; snare:38,40; hihat:42,44,46; openhat:46; tom:45,41,43,47,48,50; clap:39; rim:37';
+
+    // Velocity levels (MIDI-style 0-127, 0 = step off)
+    const VELOCITY = {
+        off: 0,
+        soft: 48,
+        normal: 96,
+        accent: 127,
+        max: 127
+    };
+    
+    // Order used when cycling an active step's level (Shift+click)
+    const VELOCITY_CYCLE = [VELOCITY.soft, VELOCITY.normal, VELOCITY.accent];
+
+    /**
+     * Editable synthesis parameters. A voice uses the ones in its
+     * SOUND_DEFAULTS entry.
+     * tune is in semitones, decay/tone are multipliers of the stock sound,
+     * noise/click are absolute layer levels (each drum has its own default),
+     * resonance/envelope shape the bass filter.
+     */
+    const SOUND_PARAMS = {
+        tune:      { label: 'Tune',      min: -24,  max: 24, step: 1,    unit: 'st' },
+        decay:     { label: 'Decay',     min: 0.25, max: 4,  step: 0.05, unit: '×' },
+        tone:      { label: 'Tone',      min: 0.25, max: 4,  step: 0.05, unit: '×' },
+        noise:     { label: 'Noise',     min: 0,    max: 1,  step: 0.01, unit: '' },
+        click:     { label: 'Click',     min: 0,    max: 1,  step: 0.01, unit: '' },
+        resonance: { label: 'Resonance', min: 0,    max: 1,  step: 0.01, unit: '' },
+        envelope:  { label: 'Env Mod',   min: 0,    max: 1,  step: 0.01, unit: '' }
+    };
+
+    // The parameters a sample track uses (tune sets its pitch)
+    const SAMPLE_PARAMS = ['tune'];
+
+    /**
+     * Parameter locks: settings one step can override for its own hit.
+     * The voice settings come from SOUND_PARAMS; pan and volume replace
+     * the track's fader and pan for that hit.
+     */
+    const LOCK_PARAMS = {
+        tune:   SOUND_PARAMS.tune,
+        decay:  SOUND_PARAMS.decay,
+        tone:   SOUND_PARAMS.tone,
+        pan:    { label: 'Pan',    min: -1, max: 1, step: 0.01 },
+        volume: { label: 'Volume', min: 0,  max: CONFIG.maxTrackVolume, step: 0.01 }
+    };
+
+    // Stock settings; these reproduce the original hard-coded voices
+    const SOUND_DEFAULTS = {
+        kick:    { tune: 0, decay: 1, tone: 1, noise: 0,   click: 0.5 },
+        snare:   { tune: 0, decay: 1, tone: 1, noise: 0.8, click: 0 },
+        hihat:   { tune: 0, decay: 1, tone: 1, noise: 0.4, click: 0 },
+        openhat: { tune: 0, decay: 1, tone: 1, noise: 0.3, click: 0 },
+        tom:     { tune: 0, decay: 1, tone: 1, noise: 0,   click: 0 },
+        clap:    { tune: 0, decay: 1, tone: 1, noise: 0.6, click: 0 },
+        rim:     { tune: 0, decay: 1, tone: 1, noise: 0,   click: 0.5 },
+        bass:    { tune: 0, decay: 1, tone: 1, resonance: 0.6, envelope: 0.5 }
+    };
+
+    /**
+     * Built-in kit presets. A kit maps sound name -> parameter overrides,
+     * so it applies to any track using that sound.
+     */
+    const BUILTIN_KITS = {
+        'Stock': {},
+        '909': {
+            kick:  { tune: -2, decay: 2.5, tone: 1.3, click: 0.8 },
+            snare: { tone: 1.5, noise: 1 },
+            hihat: { decay: 0.7, tone: 1.2 }
+        },
+        'Trap': {
+            kick:  { tune: -5, decay: 3.5, tone: 0.6, click: 0.15 },
+            snare: { decay: 0.8, tone: 1.8 },
+            hihat: { decay: 0.45, tone: 1.4, noise: 0.5 },
+            clap:  { decay: 1.5 }
+        },
+        'Lo-Fi': {
+            kick:  { decay: 0.8, tone: 0.7, click: 0.2 },
+            snare: { decay: 0.7, tone: 0.6 },
+            hihat: { decay: 1.3, tone: 0.5 },
+            rim:   { tune: -3, noise: 0.2 }
+        }
+    };
+
+    /**
+     * Generator styles. Each voice has a one-bar (16 step) chance map, one
+     * digit per 16th: 0 never .. 9 almost always (x10%). Other meters and
+     * resolutions read it by position in the bar (see getStyleChance). Voices a style
+     * leaves out stay empty. swing is applied to the pattern; ratchets is
+     * the chance a voice's hit rolls into 2-4 repeats. Bass hits take
+     * their notes from the track's key and scale.
+     */
+    const GENERATOR_STYLES = {
+        house: {
+            label: 'House',
+            swing: 54,
+            voices: {
+                kick:    '9000900090009000',
+                clap:    '0000900000009000',
+                hihat:   '1191119111911191',
+                openhat: '0070007000700070',
+                rim:     '0020000200200002',
+                bass:    '0090009000900090'
+            }
+        },
+        techno: {
+            label: 'Techno',
+            swing: 50,
+            voices: {
+                kick:    '9000900090009000',
+                clap:    '0000700000007000',
+                hihat:   '3393339333933393',
+                openhat: '0030003000300030',
+                tom:     '0000000200000002',
+                rim:     '0002000000020010',
+                bass:    '0099009900990099'
+            }
+        },
+        hiphop: {
+            label: 'Hip-Hop',
+            swing: 60,
+            voices: {
+                kick:    '9002003090020300',
+                snare:   '0000900000009000',
+                clap:    '0000300000003000',
+                hihat:   '7060706070607060',
+                rim:     '0000000200000002',
+                bass:    '9000005090000300'
+            }
+        },
+        breakbeat: {
+            label: 'Breakbeat',
+            swing: 52,
+            voices: {
+                kick:    '9070000090200000',
+                snare:   '0000903020009030',
+                hihat:   '8080808080808080',
+                rim:     '0000000000000200',
+                bass:    '9000300070003000'
+            }
+        },
+        trap: {
+            label: 'Trap',
+            swing: 50,
+            ratchets: { hihat: 0.2 },
+            voices: {
+                kick:    '9000002090000030',
+                snare:   '0000000090000000',
+                clap:    '0000000090000000',
+                hihat:   '9595959595959595',
+                tom:     '0000000000000300',
+                bass:    '9000000080000030'
+            }
+        },
+        dnb: {
+            label: 'Drum & Bass',
+            swing: 50,
+            voices: {
+                kick:    '9000000000900000',
+                snare:   '0000900000009000',
+                clap:    '0000200000002000',
+                hihat:   '7070707070707070',
+                rim:     '0002000000000200',
+                bass:    '9000000000700000'
+            }
+        }
+    };
+
+    // Echo lengths for the tempo-synced delay, in beats
+    const DELAY_DIVISIONS = [
+        [1, '1/4'],
+        [0.75, '1/8 dotted'],
+        [0.5, '1/8'],
+        [1 / 3, '1/8 triplet'],
+        [0.25, '1/16']
+    ];
+
+    /**
+     * Master effects and their controls. Reverb and delay are send effects
+     * (each track has a send level); filter and compressor sit on the bus.
+     * A control is a slider (min/max/step, log for frequencies) or a list
+     * of [value, label] options.
+     */
+    const FX_PARAMS = {
+        reverb: {
+            label: 'Reverb',
+            params: {
+                size:  { label: 'Size',   min: 0.3, max: 6, step: 0.1, unit: 's' },
+                level: { label: 'Return', min: 0,   max: 1, step: 0.01, unit: '' }
+            }
+        },
+        delay: {
+            label: 'Delay',
+            params: {
+                time:     { label: 'Time',     options: DELAY_DIVISIONS },
+                feedback: { label: 'Feedback', min: 0, max: 0.9, step: 0.01, unit: '' },
+                level:    { label: 'Return',   min: 0, max: 1,   step: 0.01, unit: '' }
+            }
+        },
+        filter: {
+            label: 'Filter',
+            params: {
+                type:      { label: 'Type', options: [['lowpass', 'Low-pass'], ['highpass', 'High-pass']] },
+                frequency: { label: 'Cutoff',    min: 20,  max: CONFIG.maxFrequency, log: true, unit: 'Hz' },
+                resonance: { label: 'Resonance', min: 0.1, max: 20, step: 0.1, unit: 'Q' }
+            }
+        },
+        compressor: {
+            label: 'Compressor',
+            params: {
+                threshold: { label: 'Threshold', min: -40, max: 0,  step: 1,   unit: 'dB' },
+                ratio:     { label: 'Ratio',     min: 1,   max: 20, step: 0.5, unit: ':1' }
+            }
+        }
+    };
+
+    // Send returns start up but silent (every send is 0); the inserts start bypassed
+    const FX_DEFAULTS = {
+        reverb:     { enabled: true,  size: 2, level: 0.5 },
+        delay:      { enabled: true,  time: 0.75, feedback: 0.35, level: 0.5 },
+        filter:     { enabled: false, type: 'lowpass', frequency: CONFIG.maxFrequency, resonance: 0.7 },
+        compressor: { enabled: false, threshold: -12, ratio: 4 }
+    };
+
+    /**
+     * Trig conditions: when an active step fires, by the track's loop
+     * count or the Fill button. "A:B" plays on loop A of every B, e.g. 2:4
+     * on the second of every four loops.
+     */
+    const TRIG_CONDITIONS = [
+        ['fill', 'Fill'],
+        ['!fill', 'Not fill'],
+        ['first', 'First loop'],
+        ['!first', 'Not first loop']
+    ].concat(...Array.from({ length: CONFIG.maxTrigCycle - 1 }, (_, i) => 
+        Array.from({ length: i + 2 }, (_, loop) => [`${loop + 1}:${i + 2}`, `${loop + 1}:${i + 2}`])
+    ));
+
+    // Velocity shapes for a ratchet's repeats (none keeps them level)
+    const RATCHET_RAMPS = ['up', 'down'];
+
+    const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+    /**
+     * Scales a note track can be locked to, as semitones above the key.
+     * Chromatic leaves every note available.
+     */
+    const SCALES = {
+        chromatic:  { label: 'Chromatic',        steps: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+        major:      { label: 'Major',            steps: [0, 2, 4, 5, 7, 9, 11] },
+        minor:      { label: 'Minor',            steps: [0, 2, 3, 5, 7, 8, 10] },
+        dorian:     { label: 'Dorian',           steps: [0, 2, 3, 5, 7, 9, 10] },
+        phrygian:   { label: 'Phrygian',         steps: [0, 1, 3, 5, 7, 8, 10] },
+        pentatonic: { label: 'Minor Pentatonic', steps: [0, 3, 5, 7, 10] },
+        blues:      { label: 'Blues',            steps: [0, 3, 5, 6, 7, 10] }
+    };
+
+    /**
+     * Time signatures. beats/unit are the signature as written; groups
+     * splits the bar into felt beats, counted in unit notes, for the grid
+     * dividers, metronome and generator accents (6/8 is two dotted
+     * quarters, 7/8 is 2+2+3).
+     */
+    const METERS = {
+        '4/4': { beats: 4, unit: 4, groups: [1, 1, 1, 1] },
+        '3/4': { beats: 3, unit: 4, groups: [1, 1, 1] },
+        '5/4': { beats: 5, unit: 4, groups: [1, 1, 1, 1, 1] },
+        '6/8': { beats: 6, unit: 8, groups: [3, 3] },
+        '7/8': { beats: 7, unit: 8, groups: [2, 2, 3] }
     };
 
-    const SOUNDS = ['kick', 'snare', 'hihat', 'tom', 'clap', 'rim'];
+    /**
+     * What one step is worth, in quarter notes. Triplets list, for each
+     * step of a quarter, which of its four 16ths in a generator style map
+     * it plays (see getStyleChance): the map comes out shuffled.
+     */
+    const STEP_RESOLUTIONS = {
+        '8':   { label: '1/8',          quarters: 1 / 2 },
+        '16':  { label: '1/16',         quarters: 1 / 4 },
+        '32':  { label: '1/32',         quarters: 1 / 8 },
+        '8t':  { label: '1/8 triplet',  quarters: 1 / 3, triplet: true, styleSlots: [[0], [1], [2, 3]] },
+        '16t': { label: '1/16 triplet', quarters: 1 / 6, triplet: true, styleSlots: [[0], [], [1], [2], [], [3]] }
+    };
 
     // =========================================
     // State
     // =========================================
     let audioCtx = null;
     let analyser = null;
-    let masterGain = null;
-    let pattern = createEmptyPattern();
-    let currentStep = 0;
+    let mixGraph = null;  // Live track strips + master (see createMixGraph)
+    let tracks = DEFAULT_TRACKS.map(createTrack);  // One per grid row: voice and mixer settings
+    let editingTrack = 0;                  // Row shown in the sound editor
+    let fx = createFxSettings();           // Master effects (see FX_PARAMS)
+    let lastPreviewTime = 0;
+    let meter = CONFIG.defaultMeter;            // Project time signature (see METERS)
+    let resolution = CONFIG.defaultResolution;  // Note value of one step (see STEP_RESOLUTIONS)
+    let bank = createBank();
+    let currentPatternIndex = 0;
+    let pattern = bank[currentPatternIndex];  // The pattern being played/edited
+    let queuedPatternIndex = null;            // Switch waiting for the bar end
+    let copiedPattern = null;
+    let bpm = CONFIG.defaultBpm;              // Project tempo; patterns and the song can change it as they play
+    let tapTimes = [];                        // Recent Tap presses (performance.now() ms)
+    let transport = createTransport(0);  // Live playheads (see createTransport)
     let isPlaying = false;
     let schedulerTimerId = null;
-    let bpm = CONFIG.defaultBpm;
+    
+    // Song mode: play the chain of { pattern, repeats, tempo } entries in order
+    let song = createSong();
+    let songMode = false;
+    
+    // Cell drag state: velocity, nudge or a hold (see handleGridPointerDown)
+    let cellDrag = null;
+    let suppressGridClick = false;
+    let lockTarget = null;  // { row, step } open in the step editor
+    let fillMode = false;   // Fill button; steps can be conditional on it
+    let rollRow = 0;        // Note track shown on the piano roll
     
     // Look-ahead scheduler state
-    let nextStepTime = 0;  // When the next step should play (in audioCtx time)
     let lastScheduledStep = -1;  // Track which step was last scheduled for UI
     
+    // Library entry the current work was loaded from / last saved to
+    let currentLibraryId = null;
+    let libraryCache = null;  // { entries, valid } as last read from storage; dropped on every write
+    
+    // Undo/redo: snapshots of the editable state (see pushHistory)
+    let undoHistory = { undo: [], redo: [], lastKey: null, lastEdit: 0 };
+    
+    // Live recording: armed state, rows already wiped this take (replace
+    // mode) and the recently scheduled steps hits are snapped to
+    let isRecording = false;
+    let recordedRows = new Set();
+    let scheduledSteps = [];
+    
+    // Web MIDI: access object, persisted port/clock/map settings, incoming
+    // clock times and pulses since the master's Start (null: not started by it)
+    let midiAccess = null;
+    let midiSettings = null;
+    let midiClockTimes = [];
+    let midiClockPulses = null;
+    let midiHeldNotes = new Map();  // Row -> note sent but not yet ended (slides, ties)
+    
     // Pre-allocated buffers (FIX: avoid per-frame allocation)
     let waveformDataArray = null;
+    let spectrumDataArray = null;  // Analyser bins for the spectrum views
+    let levelDataArray = null;     // Master samples as floats, for the clip check
+    let meterDataArray = null;     // One track meter's samples; the meters take turns
+    let spectrumColumns = null;    // Analyser bin per canvas column (spectrum)
+    let spectrumRows = null;       // Analyser bin per canvas row (spectrogram)
+    let spectrogramColumn = null;  // ImageData for the newest spectrogram column
     
-    // Pre-generated noise buffers (FIX: avoid per-hit allocation)
-    let noiseBuffers = {
-        short: null,   // 0.03s for clap bursts
-        medium: null,  // 0.1s for hihat
-        long: null     // 0.2s for snare/clap tail
-    };
+    // Visualizer: view, pending frame (null = paused) and when the output went quiet
+    let visualizerMode = 'waveform';
+    let visualizerFrame = null;
+    let visualizerQuietSince = null;
+    let lastVisualizerTime = 0;
+    let clipped = false;  // Master went over full scale; held until clicked
+    
+    // Pre-generated noise buffers per AudioContext (FIX: avoid per-hit allocation)
+    const noiseBuffers = new WeakMap();
+    
+    // Decoded samples by id, loads in flight, and ids already reported missing
+    const sampleBuffers = new Map();
+    const pendingSamples = new Map();
+    const missingSamples = new Set();
+    let sampleDb = null;  // Promise of the open IndexedDB database
 
     // =========================================
     // DOM Elements
@@ -58,636 +497,6239 @@
 
     function cacheElements() {
         elements.grid = document.getElementById('grid');
+        elements.gridContainer = document.getElementById('grid-container');
+        elements.rowLabels = document.getElementById('row-labels');
+        elements.trackVoice = document.getElementById('track-voice');
+        elements.trackAddBtn = document.getElementById('track-add-btn');
         elements.stepIndicators = document.getElementById('step-indicators');
         elements.playBtn = document.getElementById('play-btn');
+        elements.recordBtn = document.getElementById('record-btn');
+        elements.fillBtn = document.getElementById('fill-btn');
+        elements.recordQuantize = document.getElementById('record-quantize');
+        elements.recordMode = document.getElementById('record-mode');
+        elements.recordCountIn = document.getElementById('record-count-in');
+        elements.recordMetronome = document.getElementById('record-metronome');
         elements.clearBtn = document.getElementById('clear-btn');
+        elements.undoBtn = document.getElementById('undo-btn');
+        elements.redoBtn = document.getElementById('redo-btn');
         elements.randomBtn = document.getElementById('random-btn');
+        elements.genStyle = document.getElementById('gen-style');
+        elements.genSeed = document.getElementById('gen-seed');
+        elements.genBtn = document.getElementById('gen-btn');
+        elements.mutateAmount = document.getElementById('mutate-amount');
+        elements.mutateValue = document.getElementById('mutate-value');
+        elements.mutateBtn = document.getElementById('mutate-btn');
+        elements.euclidTrack = document.getElementById('euclid-track');
+        elements.euclidHits = document.getElementById('euclid-hits');
+        elements.euclidSteps = document.getElementById('euclid-steps');
+        elements.euclidRotation = document.getElementById('euclid-rotation');
+        elements.euclidBtn = document.getElementById('euclid-btn');
+        elements.roll = document.getElementById('roll');
+        elements.rollTrack = document.getElementById('roll-track');
+        elements.rollKey = document.getElementById('roll-key');
+        elements.rollScale = document.getElementById('roll-scale');
+        elements.rollEmpty = document.getElementById('roll-empty');
         elements.saveBtn = document.getElementById('save-btn');
         elements.loadBtn = document.getElementById('load-btn');
         elements.bpmSlider = document.getElementById('bpm-slider');
         elements.bpmValue = document.getElementById('bpm-value');
+        elements.bpmInput = document.getElementById('bpm-input');
+        elements.tapBtn = document.getElementById('tap-btn');
+        elements.swingSlider = document.getElementById('swing-slider');
+        elements.swingValue = document.getElementById('swing-value');
         elements.waveform = document.getElementById('waveform');
+        elements.vizMode = document.getElementById('viz-mode');
+        elements.clipBtn = document.getElementById('clip-btn');
+        elements.lengthInput = document.getElementById('length-input');
+        elements.meterSelect = document.getElementById('meter-select');
+        elements.resolutionSelect = document.getElementById('resolution-select');
+        elements.trackLengths = document.getElementById('track-lengths');
+        elements.bank = document.getElementById('bank');
+        elements.patternName = document.getElementById('pattern-name');
+        elements.patternTempo = document.getElementById('pattern-tempo');
+        elements.patternRamp = document.getElementById('pattern-ramp');
+        elements.copyBtn = document.getElementById('copy-btn');
+        elements.pasteBtn = document.getElementById('paste-btn');
+        elements.songModeBtn = document.getElementById('song-mode-btn');
+        elements.songChain = document.getElementById('song-chain');
+        elements.songAddBtn = document.getElementById('song-add-btn');
+        elements.songStatus = document.getElementById('song-status');
+        elements.mixer = document.getElementById('mixer');
+        elements.soundTrack = document.getElementById('sound-track');
+        elements.soundParams = document.getElementById('sound-params');
+        elements.fxUnits = document.getElementById('fx-units');
+        elements.lockEditor = document.getElementById('lock-editor');
+        elements.lockTitle = document.getElementById('lock-title');
+        elements.stepChance = document.getElementById('step-chance');
+        elements.stepChanceValue = document.getElementById('step-chance-value');
+        elements.stepCondition = document.getElementById('step-condition');
+        elements.stepRatchet = document.getElementById('step-ratchet');
+        elements.stepRamp = document.getElementById('step-ramp');
+        elements.lockParams = document.getElementById('lock-params');
+        elements.lockClearBtn = document.getElementById('lock-clear-btn');
+        elements.lockCloseBtn = document.getElementById('lock-close-btn');
+        elements.soundResetBtn = document.getElementById('sound-reset-btn');
+        elements.kitSelect = document.getElementById('kit-select');
+        elements.kitLoadBtn = document.getElementById('kit-load-btn');
+        elements.kitName = document.getElementById('kit-name');
+        elements.kitSaveBtn = document.getElementById('kit-save-btn');
+        elements.kitDeleteBtn = document.getElementById('kit-delete-btn');
+        elements.soundSection = document.getElementById('sound-section');
+        elements.sampleLoadBtn = document.getElementById('sample-load-btn');
+        elements.sampleFile = document.getElementById('sample-file');
+        elements.sampleControls = document.getElementById('sample-controls');
+        elements.sampleName = document.getElementById('sample-name');
+        elements.sampleStart = document.getElementById('sample-start');
+        elements.sampleStartValue = document.getElementById('sample-start-value');
+        elements.trackChoke = document.getElementById('track-choke');
+        elements.sampleClearBtn = document.getElementById('sample-clear-btn');
+        elements.exportBars = document.getElementById('export-bars');
+        elements.exportSong = document.getElementById('export-song');
+        elements.exportTail = document.getElementById('export-tail');
+        elements.exportDepth = document.getElementById('export-depth');
+        elements.exportStems = document.getElementById('export-stems');
+        elements.exportBtn = document.getElementById('export-btn');
+        elements.midiFormat = document.getElementById('midi-format');
+        elements.midiExportBtn = document.getElementById('midi-export-btn');
+        elements.midiMap = document.getElementById('midi-map');
+        elements.midiImportBtn = document.getElementById('midi-import-btn');
+        elements.midiFile = document.getElementById('midi-file');
+        elements.midiReport = document.getElementById('midi-report');
+        elements.shareBtn = document.getElementById('share-btn');
+        elements.jsonExportBtn = document.getElementById('json-export-btn');
+        elements.jsonImportBtn = document.getElementById('json-import-btn');
+        elements.jsonFile = document.getElementById('json-file');
+        elements.jsonReport = document.getElementById('json-report');
+        elements.midiConnectBtn = document.getElementById('midi-connect-btn');
+        elements.midiInput = document.getElementById('midi-input');
+        elements.midiOutput = document.getElementById('midi-output');
+        elements.midiChannel = document.getElementById('midi-channel');
+        elements.midiClock = document.getElementById('midi-clock');
+        elements.libraryName = document.getElementById('library-name');
+        elements.libraryTags = document.getElementById('library-tags');
+        elements.librarySaveBtn = document.getElementById('library-save-btn');
+        elements.libraryFilter = document.getElementById('library-filter');
+        elements.libraryList = document.getElementById('library-list');
+        elements.libraryPreview = document.getElementById('library-preview');
         elements.overlay = document.getElementById('start-overlay');
     }
 
     // =========================================
     // Pattern Management
     // =========================================
-    function createEmptyPattern() {
-        return Array.from({ length: CONFIG.rows }, () => 
-            Array(CONFIG.steps).fill(false)
+    /**
+     * A pattern is one slot in the bank.
+     * grid: one row per track x CONFIG.maxSteps cells
+     * length: master length in steps (one "bar" for song mode); new
+     * patterns are one bar of the meter
+     * trackLengths: per-row length, null = follow length
+     * swing: 50-75
+     * tempo: null, or a tempo change made when the pattern starts (see
+     * applyTempoChange)
+     */
+    function createPattern(name) {
+        return {
+            name: name,
+            grid: createEmptyGrid(),
+            length: getDefaultLength(),
+            trackLengths: Array(tracks.length).fill(null),
+            swing: CONFIG.defaultSwing,
+            tempo: null
+        };
+    }
+
+    function createBank() {
+        return Array.from({ length: CONFIG.bankSize }, (_, index) => 
+            createPattern(`Pattern ${getBankLabel(index)}`)
         );
     }
 
-    function toggleCell(row, step) {
-        pattern[row][step] = !pattern[row][step];
-        updateCellDisplay(row, step);
+    // Slot letters A, B, C...
+    function getBankLabel(index) {
+        return String.fromCharCode(65 + index);
     }
 
-    function clearPattern() {
-        pattern = createEmptyPattern();
-        updateGridDisplay();
-        showToast('Pattern cleared');
+    // An entry's tempo change, if any, replaces its pattern's
+    function createSong() {
+        return { chain: [{ pattern: 0, repeats: 1, tempo: null }] };
     }
 
-    function randomizePattern() {
-        pattern = Array.from({ length: CONFIG.rows }, (_, rowIdx) => 
-            Array.from({ length: CONFIG.steps }, (_, stepIdx) => {
-                // Different densities per instrument for musical results
-                const densities = [0.25, 0.2, 0.4, 0.15, 0.1, 0.15];
-                // Prefer on-beats for kick/snare
-                const onBeat = stepIdx % 4 === 0;
-                const offBeat = stepIdx % 4 === 2;
-                let chance = densities[rowIdx];
-                if (rowIdx === 0 && onBeat) chance = 0.7;  // Kick on beats
-                if (rowIdx === 1 && offBeat) chance = 0.5; // Snare on off-beats
-                return Math.random() < chance;
-            })
-        );
-        updateGridDisplay();
-        showToast('Random pattern generated');
+    /**
+     * Rows always hold CONFIG.maxSteps cells so shortening a pattern
+     * and lengthening it again doesn't throw steps away.
+     */
+    function createEmptyGrid() {
+        return Array.from({ length: tracks.length }, createEmptyRow);
     }
 
-    // =========================================
-    // Audio Engine
-    // =========================================
-    function initAudio() {
-        if (audioCtx) return;
-        
-        audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-        
-        // Master gain
-        masterGain = audioCtx.createGain();
-        masterGain.gain.value = 0.7;
-        
-        // Analyser for visualization
-        analyser = audioCtx.createAnalyser();
-        analyser.fftSize = 2048;
-        analyser.smoothingTimeConstant = 0.8;
-        
-        masterGain.connect(analyser);
-        analyser.connect(audioCtx.destination);
-        
-        // Pre-allocate waveform data array (FIX: memory allocation)
-        waveformDataArray = new Uint8Array(analyser.frequencyBinCount);
-        
-        // Pre-generate noise buffers (FIX: noise buffer per hit)
-        generateNoiseBuffers();
-        
-        // Start visualization loop
-        requestAnimationFrame(drawWaveform);
+    function createEmptyRow() {
+        return Array.from({ length: CONFIG.maxSteps }, () => createCell());
     }
-    
+
     /**
-     * Pre-generate noise buffers at different durations.
-     * These are reused for all noise-based sounds.
+     * Pad or trim a pattern's rows to the track list, for data that was
+     * saved (or copied) with a different number of tracks.
      */
-    function generateNoiseBuffers() {
-        noiseBuffers.short = createNoiseBuffer(0.05);   // Clap bursts, rim
-        noiseBuffers.medium = createNoiseBuffer(0.15);  // Hi-hat
-        noiseBuffers.long = createNoiseBuffer(0.3);     // Snare, clap tail
+    function fitPatternRows(target) {
+        target.grid = tracks.map((_, row) => target.grid[row] || createEmptyRow());
+        target.trackLengths = tracks.map((_, row) => target.trackLengths[row] || null);
     }
 
-    function playSoundAtTime(soundName, time) {
-        if (!audioCtx) return;
-        
-        switch(soundName) {
-            case 'kick':
-                playKick(time);
-                break;
-            case 'snare':
-                playSnare(time);
-                break;
-            case 'hihat':
-                playHihat(time);
-                break;
-            case 'tom':
-                playTom(time);
-                break;
-            case 'clap':
-                playClap(time);
-                break;
-            case 'rim':
-                playRim(time);
-                break;
-        }
-    }
-    
-    // Convenience for immediate playback (previews)
-    function playSound(soundName) {
-        if (!audioCtx) return;
-        playSoundAtTime(soundName, audioCtx.currentTime);
+    function isPatternEmpty(target) {
+        return target.grid.every(row => !row.some(isCellActive));
     }
 
-    function playKick(time) {
-        // Oscillator for the body
-        const osc = audioCtx.createOscillator();
-        const oscGain = audioCtx.createGain();
-        
-        osc.type = 'sine';
-        osc.frequency.setValueAtTime(150, time);
-        osc.frequency.exponentialRampToValueAtTime(30, time + 0.1);
-        
-        oscGain.gain.setValueAtTime(1, time);
-        oscGain.gain.exponentialRampToValueAtTime(0.001, time + 0.3);
-        
-        osc.connect(oscGain);
-        oscGain.connect(masterGain);
-        
-        osc.start(time);
-        osc.stop(time + 0.3);
-        
-        // Click transient
-        const click = audioCtx.createOscillator();
-        const clickGain = audioCtx.createGain();
-        
-        click.type = 'sine';
-        click.frequency.setValueAtTime(1000, time);
-        click.frequency.exponentialRampToValueAtTime(100, time + 0.02);
-        
-        clickGain.gain.setValueAtTime(0.5, time);
-        clickGain.gain.exponentialRampToValueAtTime(0.001, time + 0.02);
-        
-        click.connect(clickGain);
-        clickGain.connect(masterGain);
-        
-        click.start(time);
-        click.stop(time + 0.02);
+    /**
+     * A cell is a small object so per-step data can grow beyond on/off.
+     * velocity: 0 (off) to VELOCITY.max
+     * nudge (optional): micro-timing offset in ticks, see CONFIG.nudgeTicksPerStep
+     * locks (optional): LOCK_PARAMS values for this hit only
+     * chance (optional): 1-99, percent likelihood of playing
+     * condition (optional): a TRIG_CONDITIONS value
+     * ratchet (optional): 2-CONFIG.maxRatchet repeats spread over the step
+     * ramp (optional): 'up' or 'down', fading the repeats in or out
+     * note (optional): MIDI note number on note tracks; the key's root without one
+     * tie (optional): true continues the note before without a new attack
+     * slide (optional): true glides from this note into the next
+     */
+    function createCell(velocity = VELOCITY.off) {
+        return { velocity: clampVelocity(velocity) };
     }
 
-    function playSnare(time) {
-        // Noise burst for the snap (using pre-generated buffer)
-        const noiseSource = audioCtx.createBufferSource();
-        noiseSource.buffer = noiseBuffers.long;
-        
-        const noiseFilter = audioCtx.createBiquadFilter();
-        noiseFilter.type = 'highpass';
-        noiseFilter.frequency.value = 1000;
-        
-        const noiseGain = audioCtx.createGain();
-        noiseGain.gain.setValueAtTime(0.8, time);
-        noiseGain.gain.exponentialRampToValueAtTime(0.001, time + 0.2);
-        
-        noiseSource.connect(noiseFilter);
-        noiseFilter.connect(noiseGain);
-        noiseGain.connect(masterGain);
-        
-        noiseSource.start(time);
-        noiseSource.stop(time + 0.2);
-        
-        // Body tone
-        const osc = audioCtx.createOscillator();
-        const oscGain = audioCtx.createGain();
-        
-        osc.type = 'triangle';
-        osc.frequency.setValueAtTime(180, time);
-        osc.frequency.exponentialRampToValueAtTime(80, time + 0.1);
-        
-        oscGain.gain.setValueAtTime(0.5, time);
-        oscGain.gain.exponentialRampToValueAtTime(0.001, time + 0.1);
-        
-        osc.connect(oscGain);
-        oscGain.connect(masterGain);
-        
-        osc.start(time);
-        osc.stop(time + 0.15);
+    function clampVelocity(velocity) {
+        return Math.max(VELOCITY.off, Math.min(VELOCITY.max, Math.round(velocity) || 0));
     }
 
-    function playHihat(time) {
-        // High-frequency noise (using pre-generated buffer)
-        const noiseSource = audioCtx.createBufferSource();
-        noiseSource.buffer = noiseBuffers.medium;
-        
-        const highpass = audioCtx.createBiquadFilter();
-        highpass.type = 'highpass';
-        highpass.frequency.value = 7000;
-        
-        const bandpass = audioCtx.createBiquadFilter();
-        bandpass.type = 'bandpass';
-        bandpass.frequency.value = 10000;
-        bandpass.Q.value = 1;
-        
-        const noiseGain = audioCtx.createGain();
-        noiseGain.gain.setValueAtTime(0.4, time);
-        noiseGain.gain.exponentialRampToValueAtTime(0.001, time + 0.08);
-        
-        noiseSource.connect(highpass);
-        highpass.connect(bandpass);
-        bandpass.connect(noiseGain);
-        noiseGain.connect(masterGain);
-        
-        noiseSource.start(time);
-        noiseSource.stop(time + 0.1);
+    function clampNudge(ticks) {
+        return Math.max(-CONFIG.maxNudgeTicks, Math.min(CONFIG.maxNudgeTicks, Math.round(ticks) || 0));
     }
 
-    function playTom(time) {
-        const osc = audioCtx.createOscillator();
-        const oscGain = audioCtx.createGain();
-        
-        osc.type = 'sine';
-        osc.frequency.setValueAtTime(200, time);
-        osc.frequency.exponentialRampToValueAtTime(80, time + 0.2);
-        
-        oscGain.gain.setValueAtTime(0.7, time);
-        oscGain.gain.exponentialRampToValueAtTime(0.001, time + 0.25);
-        
-        osc.connect(oscGain);
-        oscGain.connect(masterGain);
-        
-        osc.start(time);
-        osc.stop(time + 0.25);
+    function isCellActive(cell) {
+        return cell.velocity > VELOCITY.off;
     }
 
-    function playClap(time) {
-        // Multiple noise bursts for realistic clap (using pre-generated buffer)
-        for (let i = 0; i < 3; i++) {
-            const noiseSource = audioCtx.createBufferSource();
-            noiseSource.buffer = noiseBuffers.short;
-            
-            const filter = audioCtx.createBiquadFilter();
-            filter.type = 'bandpass';
-            filter.frequency.value = 2500;
-            filter.Q.value = 3;
-            
-            const noiseGain = audioCtx.createGain();
-            const startTime = time + (i * 0.01);
-            noiseGain.gain.setValueAtTime(0.6, startTime);
-            noiseGain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.02);
-            
-            noiseSource.connect(filter);
-            filter.connect(noiseGain);
-            noiseGain.connect(masterGain);
-            
-            noiseSource.start(startTime);
-            noiseSource.stop(startTime + 0.03);
+    /**
+     * Convert any stored cell shape to the current one.
+     * Older saves used plain booleans (true = hit at normal level).
+     */
+    function normalizeCell(value) {
+        if (typeof value === 'boolean') {
+            return createCell(value ? VELOCITY.normal : VELOCITY.off);
         }
-        
-        // Tail (using pre-generated buffer)
-        const tailSource = audioCtx.createBufferSource();
-        tailSource.buffer = noiseBuffers.long;
-        
-        const tailFilter = audioCtx.createBiquadFilter();
-        tailFilter.type = 'bandpass';
-        tailFilter.frequency.value = 2500;
-        tailFilter.Q.value = 2;
-        
-        const tailGain = audioCtx.createGain();
-        tailGain.gain.setValueAtTime(0.4, time + 0.03);
-        tailGain.gain.exponentialRampToValueAtTime(0.001, time + 0.15);
-        
-        tailSource.connect(tailFilter);
-        tailFilter.connect(tailGain);
-        tailGain.connect(masterGain);
-        
-        tailSource.start(time + 0.03);
-        tailSource.stop(time + 0.18);
+        if (typeof value === 'number') {
+            return createCell(value);
+        }
+        if (value && typeof value === 'object') {
+            const cell = createCell(value.velocity);
+            const nudge = clampNudge(value.nudge);
+            if (nudge) cell.nudge = nudge;
+            const locks = normalizeLocks(value.locks);
+            if (locks) cell.locks = locks;
+            const chance = clampChance(value.chance);
+            if (chance < 100) cell.chance = chance;
+            if (isTrigCondition(value.condition)) cell.condition = value.condition;
+            const ratchet = clampRatchet(value.ratchet);
+            if (ratchet > 1) cell.ratchet = ratchet;
+            if (ratchet > 1 && RATCHET_RAMPS.includes(value.ramp)) cell.ramp = value.ramp;
+            if (typeof value.note === 'number' && isFinite(value.note)) cell.note = clampNote(value.note);
+            if (value.tie === true) cell.tie = true;
+            if (value.slide === true) cell.slide = true;
+            return cell;
+        }
+        return createCell();
     }
 
-    function playRim(time) {
-        // Sharp high click
-        const osc = audioCtx.createOscillator();
-        const osc2 = audioCtx.createOscillator();
-        const gain = audioCtx.createGain();
-        
-        osc.type = 'triangle';
-        osc.frequency.value = 800;
-        
-        osc2.type = 'square';
-        osc2.frequency.value = 1200;
+    // Known locks clamped to range; null when none are left
+    function normalizeLocks(data) {
+        if (!data || typeof data !== 'object') return null;
         
-        const osc2Gain = audioCtx.createGain();
-        osc2Gain.gain.value = 0.3;
-        
-        gain.gain.setValueAtTime(0.5, time);
-        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.03);
-        
-        osc.connect(gain);
-        osc2.connect(osc2Gain);
-        osc2Gain.connect(gain);
-        gain.connect(masterGain);
-        
-        osc.start(time);
-        osc.stop(time + 0.03);
-        osc2.start(time);
-        osc2.stop(time + 0.03);
+        const locks = {};
+        Object.keys(LOCK_PARAMS).forEach(name => {
+            if (typeof data[name] === 'number' && isFinite(data[name])) {
+                locks[name] = clampLock(name, data[name]);
+            }
+        });
+        return Object.keys(locks).length ? locks : null;
     }
 
-    function createNoiseBuffer(duration) {
-        const sampleRate = audioCtx.sampleRate;
-        const length = sampleRate * duration;
-        const buffer = audioCtx.createBuffer(1, length, sampleRate);
-        const data = buffer.getChannelData(0);
-        
-        for (let i = 0; i < length; i++) {
-            data[i] = Math.random() * 2 - 1;
-        }
-        
-        return buffer;
+    // 100 (always) is the default and isn't stored
+    function clampChance(percent) {
+        return Math.max(1, Math.min(100, Math.round(percent) || 100));
     }
 
-    // =========================================
-    // Sequencer (Look-ahead Scheduler Pattern)
-    // =========================================
-    
-    /**
-     * Calculate the duration of one step (16th note) in seconds
-     */
-    function getStepDuration() {
-        return 60.0 / bpm / 4;  // 16th notes
+    function clampRatchet(count) {
+        return Math.max(1, Math.min(CONFIG.maxRatchet, Math.round(count) || 1));
     }
-    
-    /**
-     * Start the sequencer using Web Audio look-ahead scheduling.
-     * This provides sample-accurate timing regardless of JavaScript timing jitter.
-     */
-    function startSequencer() {
-        if (isPlaying) return;
-        
-        isPlaying = true;
-        elements.playBtn.classList.add('playing');
-        elements.playBtn.querySelector('.btn-text').textContent = 'Stop';
-        
-        // Initialize timing - start slightly in the future
-        currentStep = 0;
-        nextStepTime = audioCtx.currentTime + 0.05;
-        lastScheduledStep = -1;
-        
-        // Start the scheduler loop
-        scheduler();
+
+    function clampNote(note) {
+        return Math.max(CONFIG.minNote, Math.min(CONFIG.maxNote, Math.round(note)));
     }
 
-    function stopSequencer() {
+    function isTrigCondition(value) {
+        return TRIG_CONDITIONS.some(([condition]) => condition === value);
+    }
+
+    function clampLock(name, value) {
+        const spec = LOCK_PARAMS[name];
+        return Math.max(spec.min, Math.min(spec.max, value));
+    }
+
+    function normalizeGrid(rows) {
+        return rows.map(row => 
+            Array.from({ length: CONFIG.maxSteps }, (_, step) => normalizeCell(row[step]))
+        );
+    }
+
+    function clampLength(length) {
+        return Math.max(CONFIG.minSteps, Math.min(CONFIG.maxSteps, Math.round(length) || CONFIG.defaultSteps));
+    }
+
+    function getTrackLength(row, target = pattern) {
+        return target.trackLengths[row] || target.length;
+    }
+
+    // Number of columns shown: the longest of the pattern and any track
+    function getGridLength() {
+        return Math.max(pattern.length, ...pattern.trackLengths.map(length => length || 0));
+    }
+
+    function setPatternLength(length) {
+        pushHistory('Change length', 'length');
+        pattern.length = clampLength(length);
+        elements.lengthInput.value = pattern.length;
+        rebuildGrid();
+    }
+
+    // null (or empty input) makes the track follow the pattern length again
+    function setTrackLength(row, length) {
+        pushHistory('Change track length', `track-length-${row}`);
+        pattern.trackLengths[row] = length ? clampLength(length) : null;
+        rebuildGrid();
+    }
+
+    function toggleCell(row, step) {
+        pushHistory('Toggle step');
+        const cell = pattern.grid[row][step];
+        if (isCellActive(cell)) {
+            // Everything but the level goes with the hit
+            Object.keys(cell).forEach(key => {
+                if (key !== 'velocity') delete cell[key];
+            });
+            cell.velocity = VELOCITY.off;
+        } else {
+            cell.velocity = VELOCITY.normal;
+        }
+        updateCellDisplay(row, step);
+    }
+
+    /**
+     * Step an active cell through soft -> normal -> accent.
+     * An empty cell becomes a normal hit.
+     */
+    function cycleCellVelocity(row, step) {
+        pushHistory('Change velocity');
+        const cell = pattern.grid[row][step];
+        if (!isCellActive(cell)) {
+            cell.velocity = VELOCITY.normal;
+        } else {
+            // Next level above the current velocity, wrapping back to soft
+            const next = VELOCITY_CYCLE.find(level => level > cell.velocity);
+            cell.velocity = next !== undefined ? next : VELOCITY_CYCLE[0];
+        }
+        updateCellDisplay(row, step);
+    }
+
+    function setCellVelocity(row, step, velocity) {
+        pushHistory('Change velocity', `velocity-${row}-${step}`);
+        pattern.grid[row][step].velocity = clampVelocity(velocity);
+        updateCellDisplay(row, step);
+    }
+
+    // Only active steps carry a micro-timing offset
+    function setCellNudge(row, step, ticks) {
+        const cell = pattern.grid[row][step];
+        if (!isCellActive(cell)) return;
+        
+        pushHistory('Nudge step', `nudge-${row}-${step}`);
+        const nudge = clampNudge(ticks);
+        if (nudge) {
+            cell.nudge = nudge;
+        } else {
+            delete cell.nudge;
+        }
+        updateCellDisplay(row, step);
+    }
+
+    // Only active steps carry locks
+    function setCellLock(row, step, name, value) {
+        const cell = pattern.grid[row][step];
+        if (!isCellActive(cell)) return;
+        
+        pushHistory('Lock parameter', `lock-${row}-${step}-${name}`);
+        cell.locks = Object.assign({}, cell.locks, { [name]: clampLock(name, value) });
+        updateCellDisplay(row, step);
+    }
+
+    // Without a name, every lock on the step goes
+    function clearCellLock(row, step, name) {
+        const cell = pattern.grid[row][step];
+        if (!cell.locks || (name && cell.locks[name] === undefined)) return;
+        
+        pushHistory(name ? 'Unlock parameter' : 'Clear locks');
+        if (name) delete cell.locks[name];
+        if (!name || !Object.keys(cell.locks).length) delete cell.locks;
+        updateCellDisplay(row, step);
+    }
+
+    function setCellChance(row, step, percent) {
+        const cell = pattern.grid[row][step];
+        if (!isCellActive(cell)) return;
+        
+        pushHistory('Change chance', `chance-${row}-${step}`);
+        const chance = clampChance(percent);
+        if (chance < 100) {
+            cell.chance = chance;
+        } else {
+            delete cell.chance;
+        }
+        updateCellDisplay(row, step);
+    }
+
+    // An empty condition means always
+    function setCellCondition(row, step, condition) {
+        const cell = pattern.grid[row][step];
+        if (!isCellActive(cell)) return;
+        
+        pushHistory('Change condition');
+        if (isTrigCondition(condition)) {
+            cell.condition = condition;
+        } else {
+            delete cell.condition;
+        }
+        updateCellDisplay(row, step);
+    }
+
+    // One hit (1) clears the ratchet and its ramp
+    function setCellRatchet(row, step, count) {
+        const cell = pattern.grid[row][step];
+        if (!isCellActive(cell)) return;
+        
+        pushHistory('Change repeats');
+        const ratchet = clampRatchet(count);
+        if (ratchet > 1) {
+            cell.ratchet = ratchet;
+        } else {
+            delete cell.ratchet;
+            delete cell.ramp;
+        }
+        updateCellDisplay(row, step);
+    }
+
+    function setCellRamp(row, step, ramp) {
+        const cell = pattern.grid[row][step];
+        if (!cell.ratchet) return;
+        
+        pushHistory('Change ramp');
+        if (RATCHET_RAMPS.includes(ramp)) {
+            cell.ramp = ramp;
+        } else {
+            delete cell.ramp;
+        }
+        updateCellDisplay(row, step);
+    }
+
+    function clearPattern() {
+        pushHistory('Clear pattern');
+        pattern.grid = createEmptyGrid();
+        updateGridDisplay();
+        renderBank();
+        showToast('Pattern cleared');
+    }
+
+    // =========================================
+    // Pattern Generator
+    // =========================================
+    // Random button / R: a new seed in the chosen style
+    function randomizePattern() {
+        const seed = Math.floor(Math.random() * CONFIG.maxGeneratorSeed);
+        elements.genSeed.value = seed;
+        generatePattern(elements.genStyle.value, seed);
+    }
+
+    /**
+     * Fill every track from a style's chance maps. The same style, seed
+     * and track list always give the same pattern.
+     */
+    function generatePattern(styleName, seed) {
+        const style = GENERATOR_STYLES[styleName];
+        const random = createRandom(seed);
+        
+        pushHistory('Generate pattern');
+        pattern.grid = tracks.map((track, row) => {
+            const chances = style.voices[track.sound] || '';
+            const ratchet = (style.ratchets && style.ratchets[track.sound]) || 0;
+            
+            return Array.from({ length: CONFIG.maxSteps }, (_, step) => {
+                // Leave steps past the track's end empty
+                if (step >= getTrackLength(row)) return createCell();
+                
+                const chance = getStyleChance(chances, step);
+                if (random() >= chance) return createCell();
+                
+                // Accent some beats, let weaker steps breathe
+                const levels = getStepBeat(step) >= 0 ? [VELOCITY.normal, VELOCITY.accent] :
+                    chance >= 0.7 ? [VELOCITY.normal] : [VELOCITY.soft, VELOCITY.normal];
+                const cell = createCell(levels[Math.floor(random() * levels.length)]);
+                if (random() < ratchet) cell.ratchet = 2 + Math.floor(random() * 3);
+                if (isSynthTrack(row)) {
+                    cell.note = pickScaleNote(random, track);
+                    if (random() < 0.15) cell.slide = true;
+                }
+                return cell;
+            });
+        });
+        pattern.swing = style.swing;
+        
+        updateSwingDisplay();
+        updateGridDisplay();
+        renderBank();
+        showToast(`${style.label} pattern · seed ${seed}`);
+    }
+
+    /**
+     * A step's chance (0-1) from a style map. Maps are in 16ths, so the
+     * step is placed by where it falls in the bar: longer bars wrap round
+     * the map and 32nds between two 16ths stay empty. A triplet step
+     * plays the likeliest of the 16ths its resolution gives it.
+     */
+    function getStyleChance(chances, step) {
+        const bar = getBarQuarters();
+        const size = getStepQuarters();
+        const start = step * size;
+        const offset = start - Math.floor(start / bar + 1e-9) * bar;
+        const chance = index => parseInt(chances[index % 16] || '0') / 10;
+        
+        const slots = STEP_RESOLUTIONS[resolution].styleSlots;
+        if (slots) {
+            // Bars that don't divide evenly can leave a step off the beat grid
+            const barStep = Math.round(offset / size);
+            const quarter = Math.floor(barStep / slots.length);
+            return Math.max(0, ...slots[barStep % slots.length].map(slot => chance(quarter * 4 + slot)));
+        }
+        
+        const sixteenth = offset * 4;
+        const index = Math.round(sixteenth);
+        if (Math.abs(sixteenth - index) > 0.4) return 0;
+        return chance(index);
+    }
+
+    /**
+     * Euclidean rhythm: hits spread as evenly as possible over steps,
+     * turned right by rotation. Replaces the track's row; a step count
+     * other than the pattern length becomes the track's own length.
+     */
+    function fillEuclidean(row, hits, steps, rotation) {
+        steps = clampLength(steps);
+        hits = Math.max(0, Math.min(steps, Math.round(hits) || 0));
+        rotation = ((Math.round(rotation) || 0) % steps + steps) % steps;
+        
+        pushHistory('Euclidean fill');
+        pattern.trackLengths[row] = steps === pattern.length ? null : steps;
+        pattern.grid[row] = Array.from({ length: CONFIG.maxSteps }, (_, step) => {
+            if (step >= steps) return createCell();
+            const position = (step - rotation + steps) % steps;
+            return createCell(position * hits % steps < hits ? VELOCITY.normal : VELOCITY.off);
+        });
+        
+        rebuildGrid();
+        renderBank();
+        showToast(`${getTrackName(row)}: ${hits} in ${steps}`);
+    }
+
+    /**
+     * Change about amount (0-1) of the playable steps: a hit is dropped
+     * or given a new level, an empty step gets a hit. On note tracks new
+     * and changed hits get a note from the scale.
+     */
+    function mutatePattern(amount) {
+        const random = createRandom(Math.floor(Math.random() * CONFIG.maxGeneratorSeed));
+        let changed = 0;
+        
+        pushHistory('Mutate pattern');
+        pattern.grid.forEach((cells, row) => {
+            for (let step = 0; step < getTrackLength(row); step++) {
+                if (random() >= amount) continue;
+                
+                const cell = cells[step];
+                if (!isCellActive(cell)) {
+                    cells[step] = createCell(random() < 0.5 ? VELOCITY.soft : VELOCITY.normal);
+                } else if (random() < 0.5) {
+                    cells[step] = createCell();
+                } else {
+                    cell.velocity = VELOCITY_CYCLE[Math.floor(random() * VELOCITY_CYCLE.length)];
+                }
+                if (isSynthTrack(row) && isCellActive(cells[step])) {
+                    cells[step].note = pickScaleNote(random, tracks[row]);
+                }
+                changed++;
+            }
+        });
+        
+        updateGridDisplay();
+        renderBank();
+        showToast(`Mutated ${changed} steps`);
+    }
+
+    // Generator styles and the Euclid track picker
+    function buildGenerator() {
+        elements.genStyle.innerHTML = '';
+        Object.keys(GENERATOR_STYLES).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = GENERATOR_STYLES[name].label;
+            elements.genStyle.appendChild(option);
+        });
+        elements.genSeed.max = CONFIG.maxGeneratorSeed - 1;
+        buildEuclidTracks();
+        updateMutateDisplay();
+    }
+
+    function buildEuclidTracks() {
+        const selected = parseInt(elements.euclidTrack.value) || 0;
+        elements.euclidTrack.innerHTML = '';
+        tracks.forEach((track, row) => {
+            const option = document.createElement('option');
+            option.value = row;
+            option.textContent = getTrackName(row);
+            elements.euclidTrack.appendChild(option);
+        });
+        elements.euclidTrack.value = Math.min(selected, tracks.length - 1);
+    }
+
+    function updateMutateDisplay() {
+        elements.mutateValue.textContent = `${elements.mutateAmount.value}%`;
+    }
+
+    // =========================================
+    // Note Tracks
+    // =========================================
+    function isSynthTrack(row) {
+        return SYNTH_SOUNDS.includes(tracks[row].sound);
+    }
+
+    // The key's root, which steps without a note of their own play
+    function getRootNote(track) {
+        return CONFIG.rootNote + track.key;
+    }
+
+    function getCellNote(row, cell) {
+        return cell.note !== undefined ? cell.note : getRootNote(tracks[row]);
+    }
+
+    function isScale(name) {
+        return Object.prototype.hasOwnProperty.call(SCALES, name);
+    }
+
+    function isInScale(note, track) {
+        return SCALES[track.scale].steps.includes(((note - track.key) % 12 + 12) % 12);
+    }
+
+    // Nearest note in the track's scale, the lower one on a tie
+    function snapToScale(note, track) {
+        for (let distance = 0; distance < 12; distance++) {
+            if (isInScale(note - distance, track)) return clampNote(note - distance);
+            if (isInScale(note + distance, track)) return clampNote(note + distance);
+        }
+        return note;
+    }
+
+    /**
+     * Piano roll click: give the step this note, switching it on if needed.
+     * Clicking the note a step already has switches the step off.
+     */
+    function setCellNote(row, step, note) {
+        const cell = pattern.grid[row][step];
+        if (isCellActive(cell) && getCellNote(row, cell) === note) {
+            toggleCell(row, step);
+            return;
+        }
+        
+        pushHistory('Set note');
+        if (!isCellActive(cell)) cell.velocity = VELOCITY.normal;
+        cell.note = snapToScale(clampNote(note), tracks[row]);
+        updateCellDisplay(row, step);
+    }
+
+    // Tie and slide are on/off flags of active steps
+    function toggleCellFlag(row, step, flag) {
+        const cell = pattern.grid[row][step];
+        if (!isCellActive(cell)) return;
+        
+        pushHistory(flag === 'tie' ? 'Toggle tie' : 'Toggle slide');
+        if (cell[flag]) {
+            delete cell[flag];
+        } else {
+            cell[flag] = true;
+        }
+        updateCellDisplay(row, step);
+    }
+
+    /**
+     * Lock a note track to a key and scale. Notes already written in any
+     * pattern move to the nearest note of the new scale.
+     */
+    function setTrackScale(row, key, scale) {
+        const track = tracks[row];
+        pushHistory('Change scale');
+        track.key = key;
+        track.scale = scale;
+        bank.forEach(target => {
+            target.grid[row].forEach(cell => {
+                if (cell.note !== undefined) cell.note = snapToScale(cell.note, track);
+            });
+        });
+        updateGridDisplay();
+    }
+
+    /**
+     * A note for generated steps: mostly the root, otherwise any note of
+     * the scale, now and then an octave up.
+     */
+    function pickScaleNote(random, track) {
+        const steps = SCALES[track.scale].steps;
+        const interval = random() < 0.5 ? 0 : steps[Math.floor(random() * steps.length)];
+        return clampNote(getRootNote(track) + interval + (random() < 0.2 ? 12 : 0));
+    }
+
+    // MIDI note number as a name: 36 -> C2
+    function formatNote(note) {
+        return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+    }
+
+    // =========================================
+    // Pattern Bank & Song Mode
+    // =========================================
+    
+    /**
+     * Make a bank slot the current pattern and show it.
+     * Does not touch the playheads; the scheduler handles those.
+     */
+    function selectPattern(index) {
+        currentPatternIndex = index;
+        pattern = bank[index];
+        showPattern();
+    }
+
+    /**
+     * Switch patterns from the UI. While playing, the switch is queued
+     * and happens on the next bar line (see handleBarEnd).
+     */
+    function requestPattern(index) {
+        if (!isPlaying) {
+            selectPattern(index);
+            return;
+        }
+        if (songMode) {
+            showToast('Turn off song mode to switch patterns');
+            return;
+        }
+        
+        // Asking for the playing pattern again cancels a queued switch
+        queuedPatternIndex = index === transport.patternIndex ? null : index;
+        renderBank();
+    }
+
+    function renamePattern(name) {
+        pushHistory('Rename pattern', 'name');
+        pattern.name = name;
+        renderBank();
+        renderSong();
+    }
+
+    function copyPattern() {
+        copiedPattern = JSON.parse(JSON.stringify(pattern));
+        showToast(`Copied ${pattern.name}`);
+    }
+
+    // Pastes everything but the name into the current slot
+    function pastePattern() {
+        if (!copiedPattern) {
+            showToast('Nothing to paste');
+            return;
+        }
+        
+        pushHistory('Paste pattern');
+        const pasted = JSON.parse(JSON.stringify(copiedPattern));
+        pasted.name = pattern.name;
+        fitPatternRows(pasted);
+        bank[currentPatternIndex] = pasted;
+        pattern = pasted;
+        showPattern();
+        showToast(`Pasted into ${pattern.name}`);
+    }
+
+    function setSongMode(enabled) {
+        songMode = enabled;
+        // Playback picks up the chain from the top on the next bar line
+        transport.songPosition = null;
+        queuedPatternIndex = null;
+        elements.songModeBtn.classList.toggle('active', songMode);
+        elements.songModeBtn.setAttribute('aria-pressed', songMode);
+        renderBank();
+        renderSongStatus();
+    }
+
+    function addSongEntry() {
+        pushHistory('Add song entry');
+        song.chain.push({ pattern: currentPatternIndex, repeats: 1, tempo: null });
+        renderSong();
+    }
+
+    function removeSongEntry(index) {
+        if (song.chain.length <= 1) {
+            showToast('A song needs at least one entry');
+            return;
+        }
+        pushHistory('Remove song entry');
+        song.chain.splice(index, 1);
+        renderSong();
+    }
+
+    function updateSongEntry(index, field, value) {
+        const entry = song.chain[index];
+        if (!entry) return;
+        
+        pushHistory('Edit song', `song-${index}-${field}`);
+        if (field === 'pattern') {
+            entry.pattern = Math.max(0, Math.min(CONFIG.bankSize - 1, value || 0));
+        } else if (field === 'repeats') {
+            entry.repeats = Math.max(1, Math.min(CONFIG.maxSongRepeats, value || 1));
+        } else if (field === 'tempo') {
+            entry.tempo = createTempoChange(value, entry.tempo && entry.tempo.ramp);
+        } else if (field === 'ramp') {
+            if (entry.tempo) entry.tempo.ramp = value;
+        }
+        renderSong();
+    }
+
+    /**
+     * Move a transport's song position on by one bar.
+     * Returns the pattern index to switch to when a new entry starts, else null.
+     */
+    function advanceSong(t) {
+        const chain = song.chain;
+        
+        if (!t.songPosition) {
+            t.songPosition = { entry: 0, repeat: 0 };
+            return chain[0].pattern;
+        }
+        
+        // The chain may have been edited under us
+        const position = t.songPosition;
+        const entry = chain[position.entry] || chain[0];
+        position.repeat++;
+        if (position.repeat < entry.repeats) return null;
+        
+        position.repeat = 0;
+        position.entry = (position.entry + 1) % chain.length;
+        return chain[position.entry].pattern;
+    }
+
+    // Total bars in one pass of the song chain
+    function getSongBars() {
+        return song.chain.reduce((total, entry) => total + entry.repeats, 0);
+    }
+
+    // =========================================
+    // Tracks & Mixer
+    // =========================================
+    function createTrack(sound) {
+        const track = {
+            sound: sound,
+            name: null,   // null = named after its sample or voice
+            params: getDefaultParams(sound),
+            volume: CONFIG.defaultTrackVolume,
+            pan: 0,       // -1 (left) to 1 (right)
+            reverbSend: 0,
+            delaySend: 0,
+            mute: false,
+            solo: false,
+            sample: null,  // { id, name, start } plays instead of the synth voice
+            choke: DEFAULT_CHOKE_GROUPS[sound] || 0  // Choke group; a hit cuts any hit still ringing in it
+        };
+        // Note tracks keep their notes to a key (0 = C) and scale
+        if (SYNTH_SOUNDS.includes(sound)) Object.assign(track, { key: 0, scale: 'minor' });
+        return track;
+    }
+
+    // The user's name for the track, else its sample, else its voice
+    function getTrackName(row) {
+        const track = tracks[row];
+        return track.name || (track.sample ? track.sample.name : SOUND_LABELS[track.sound]);
+    }
+
+    // Any soloed track silences every track that isn't soloed
+    function isTrackAudible(row) {
+        const track = tracks[row];
+        if (track.mute) return false;
+        return track.solo || !tracks.some(other => other.solo);
+    }
+
+    function setTrackVolume(row, volume) {
+        pushHistory('Change volume', `volume-${row}`);
+        tracks[row].volume = Math.max(0, Math.min(CONFIG.maxTrackVolume, volume));
+        applyMixer();
+        renderMixer();
+    }
+
+    function setTrackPan(row, pan) {
+        pushHistory('Change pan', `pan-${row}`);
+        tracks[row].pan = Math.max(-1, Math.min(1, pan));
+        applyMixer();
+        renderMixer();
+    }
+
+    // bus: 'reverb' or 'delay'
+    function setTrackSend(row, bus, level) {
+        pushHistory('Change send', `${bus}-send-${row}`);
+        tracks[row][`${bus}Send`] = Math.max(0, Math.min(1, level));
+        applyMixer();
+        renderMixer();
+    }
+
+    function toggleMute(row) {
+        pushHistory('Mute');
+        tracks[row].mute = !tracks[row].mute;
+        applyMixer();
+        renderMixer();
+    }
+
+    function toggleSolo(row) {
+        pushHistory('Solo');
+        tracks[row].solo = !tracks[row].solo;
+        applyMixer();
+        renderMixer();
+    }
+
+    /**
+     * Tracks are the grid rows, so every pattern's rows and track lengths
+     * (and the copied pattern, and the playheads) change along with them.
+     */
+    function forEachRowList(callback) {
+        bank.concat(copiedPattern || []).forEach(target => {
+            callback(target.grid);
+            callback(target.trackLengths);
+        });
+        callback(transport.trackSteps);
+        callback(transport.trackLoops);
+    }
+
+    function addTrack(sound) {
+        if (tracks.length >= CONFIG.maxTracks) {
+            showToast(`Up to ${CONFIG.maxTracks} tracks`);
+            return;
+        }
+        
+        pushHistory('Add track');
+        tracks.push(createTrack(sound));
+        bank.concat(copiedPattern || []).forEach(target => {
+            target.grid.push(createEmptyRow());
+            target.trackLengths.push(null);
+        });
+        transport.trackSteps.push(0);
+        transport.trackLoops.push(0);
+        editingTrack = tracks.length - 1;
+        refreshTracks();
+    }
+
+    function removeTrack(row) {
+        if (tracks.length === 1) return;
+        
+        pushHistory('Remove track');
+        const name = getTrackName(row);
+        tracks.splice(row, 1);
+        forEachRowList(list => list.splice(row, 1));
+        if (editingTrack >= tracks.length || editingTrack > row) editingTrack--;
+        editingTrack = Math.max(0, editingTrack);
+        refreshTracks();
+        showToast(`Removed ${name}`);
+    }
+
+    function moveTrack(from, to) {
+        to = Math.max(0, Math.min(tracks.length - 1, to));
+        if (from === to) return;
+        
+        pushHistory('Move track');
+        const move = list => list.splice(to, 0, list.splice(from, 1)[0]);
+        move(tracks);
+        forEachRowList(move);
+        
+        // The sound editor stays on the same track
+        if (editingTrack === from) {
+            editingTrack = to;
+        } else if (from < editingTrack && to >= editingTrack) {
+            editingTrack--;
+        } else if (from > editingTrack && to <= editingTrack) {
+            editingTrack++;
+        }
+        refreshTracks();
+    }
+
+    // A track label being dragged by its handle
+    function isTrackDrag(e) {
+        return Array.from(e.dataTransfer.types).includes(TRACK_DRAG_TYPE);
+    }
+
+    // An empty name goes back to the automatic one
+    function renameTrack(row, name) {
+        pushHistory('Rename track', `track-name-${row}`);
+        tracks[row].name = name.trim().slice(0, 32) || null;
+        renderTrackNames();
+        updateGridDisplay();  // Cell labels name the track
+    }
+
+    // Rebuild everything laid out per track after the list changes
+    function refreshTracks() {
+        scheduledSteps = [];
+        lockTarget = null;  // Its step may have moved
+        rebuildMixStrips();
+        buildMixer();
+        buildSoundEditor();
+        buildEuclidTracks();
+        buildRollTracks();
+        rebuildGrid();
+    }
+
+    // =========================================
+    // Master Effects
+    // =========================================
+    function createFxSettings() {
+        return JSON.parse(JSON.stringify(FX_DEFAULTS));
+    }
+
+    // Defaults overlaid with any valid stored values
+    function normalizeFx(data) {
+        const settings = createFxSettings();
+        if (!data || typeof data !== 'object') return settings;
+        
+        Object.keys(FX_PARAMS).forEach(effect => {
+            const saved = data[effect];
+            if (!saved || typeof saved !== 'object') return;
+            
+            if (typeof saved.enabled === 'boolean') settings[effect].enabled = saved.enabled;
+            Object.keys(FX_PARAMS[effect].params).forEach(name => {
+                if (isValidFxValue(FX_PARAMS[effect].params[name], saved[name])) {
+                    settings[effect][name] = saved[name];
+                }
+            });
+        });
+        return settings;
+    }
+
+    function isValidFxValue(spec, value) {
+        if (spec.options) return spec.options.some(([option]) => option === value);
+        return isNumberInRange(value, spec.min, spec.max);
+    }
+
+    function setFxParam(effect, name, value) {
+        const spec = FX_PARAMS[effect].params[name];
+        if (!spec.options) value = Math.max(spec.min, Math.min(spec.max, value));
+        if (!isValidFxValue(spec, value)) return;
+        
+        pushHistory('Edit effect', `fx-${effect}-${name}`);
+        fx[effect][name] = value;
+        applyFx();
+        renderFx();
+    }
+
+    function toggleFx(effect) {
+        pushHistory(fx[effect].enabled ? 'Bypass effect' : 'Enable effect');
+        fx[effect].enabled = !fx[effect].enabled;
+        applyFx();
+        renderFx();
+    }
+
+    // =========================================
+    // Sound Editor & Kits
+    // =========================================
+    function getDefaultParams(sound) {
+        return Object.assign({}, SOUND_DEFAULTS[sound]);
+    }
+
+    function clampParam(name, value) {
+        const spec = SOUND_PARAMS[name];
+        return Math.max(spec.min, Math.min(spec.max, value));
+    }
+
+    // Defaults for the sound, overlaid with any valid stored values
+    function normalizeParams(sound, data) {
+        const params = getDefaultParams(sound);
+        if (!data || typeof data !== 'object') return params;
+        
+        Object.keys(params).forEach(name => {
+            if (typeof data[name] === 'number' && isFinite(data[name])) {
+                params[name] = clampParam(name, data[name]);
+            }
+        });
+        return params;
+    }
+
+    function setSoundParam(row, name, value) {
+        pushHistory('Edit sound', `param-${row}-${name}`);
+        tracks[row].params[name] = clampParam(name, value);
+        renderSoundEditor();
+        previewSound(row);
+    }
+
+    function resetSound(row) {
+        pushHistory('Reset sound');
+        tracks[row].params = getDefaultParams(tracks[row].sound);
+        renderSoundEditor();
+        previewSound(row);
+    }
+
+    function selectSoundTrack(row) {
+        editingTrack = row;
+        renderSoundEditor();
+    }
+
+    function setSampleStart(row, start) {
+        pushHistory('Edit sample', `sample-start-${row}`);
+        tracks[row].sample.start = Math.max(0, Math.min(CONFIG.maxSampleStart, start));
+        renderSoundEditor();
+        previewSound(row);
+    }
+
+    function setTrackChoke(row, group) {
+        pushHistory('Choke group');
+        tracks[row].choke = Math.max(0, Math.min(CONFIG.chokeGroups, group || 0));
+        renderSoundEditor();
+    }
+
+    /**
+     * Audition a track while its sound is edited.
+     * Throttled so dragging a slider doesn't machine-gun the voice.
+     */
+    function previewSound(row) {
+        const now = performance.now();
+        if (now - lastPreviewTime < CONFIG.previewThrottle) return;
+        lastPreviewTime = now;
+        playTrack(row, velocityToLevel(VELOCITY.normal));
+    }
+
+    function getUserKits() {
+        try {
+            const kits = JSON.parse(localStorage.getItem(CONFIG.kitStorageKey));
+            return kits && typeof kits === 'object' ? kits : {};
+        } catch (e) {
+            console.error('Kit load error:', e);
+            return {};
+        }
+    }
+
+    // Kit names are user text, so only own keys count (not toString etc.)
+    function hasKit(kits, name) {
+        return Object.prototype.hasOwnProperty.call(kits, name);
+    }
+
+    function isBuiltinKit(name) {
+        return hasKit(BUILTIN_KITS, name);
+    }
+
+    function getKit(name) {
+        if (isBuiltinKit(name)) return BUILTIN_KITS[name];
+        const kits = getUserKits();
+        return hasKit(kits, name) ? kits[name] : null;
+    }
+
+    function applyKit(name) {
+        const kit = getKit(name);
+        if (!kit) {
+            showToast('Kit not found');
+            return;
+        }
+        
+        pushHistory('Load kit');
+        tracks.forEach(track => {
+            track.params = normalizeParams(track.sound, kit[track.sound]);
+        });
+        renderSoundEditor();
+        showToast(`Kit "${name}" loaded`);
+    }
+
+    /**
+     * Store the current sounds as a kit. With two tracks on the same
+     * sound, the first one wins.
+     */
+    function saveKit(name) {
+        name = name.trim();
+        if (!name) {
+            showToast('Name the kit first');
+            return;
+        }
+        if (isBuiltinKit(name)) {
+            showToast('That name is a built-in kit');
+            return;
+        }
+        // These would clash with the object the kits are stored in
+        if (name in Object.prototype) {
+            showToast('That name can\'t be used for a kit');
+            return;
+        }
+        
+        const kit = {};
+        tracks.forEach(track => {
+            if (!kit[track.sound]) kit[track.sound] = Object.assign({}, track.params);
+        });
+        
+        try {
+            const kits = getUserKits();
+            kits[name] = kit;
+            localStorage.setItem(CONFIG.kitStorageKey, JSON.stringify(kits));
+            renderKitOptions(name);
+            showToast(`Kit "${name}" saved`);
+        } catch (e) {
+            showToast('Could not save kit');
+            console.error('Kit save error:', e);
+        }
+    }
+
+    function deleteKit(name) {
+        if (isBuiltinKit(name)) {
+            showToast('Built-in kits can\'t be deleted');
+            return;
+        }
+        
+        try {
+            const kits = getUserKits();
+            if (!hasKit(kits, name)) return;
+            delete kits[name];
+            localStorage.setItem(CONFIG.kitStorageKey, JSON.stringify(kits));
+            renderKitOptions();
+            showToast(`Kit "${name}" deleted`);
+        } catch (e) {
+            showToast('Could not delete kit');
+            console.error('Kit delete error:', e);
+        }
+    }
+
+    // =========================================
+    // Samples
+    // =========================================
+    /**
+     * Sample audio lives in IndexedDB (too big for localStorage) as
+     * { id, name, data: ArrayBuffer }. Tracks and saves only hold the id,
+     * so a pattern finds its samples again after a reload.
+     */
+    function openSampleDb() {
+        if (!sampleDb) {
+            sampleDb = new Promise((resolve, reject) => {
+                const request = indexedDB.open(CONFIG.sampleDbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('samples', { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again
+            sampleDb.catch(() => { sampleDb = null; });
+        }
+        return sampleDb;
+    }
+
+    async function sampleStoreRequest(mode, makeRequest) {
+        const db = await openSampleDb();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction('samples', mode).objectStore('samples'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function storeSample(record) {
+        return sampleStoreRequest('readwrite', store => store.put(record));
+    }
+
+    function fetchSample(id) {
+        return sampleStoreRequest('readonly', store => store.get(id));
+    }
+
+    // decodeAudioData detaches its input, so it gets a copy
+    function decodeSample(data) {
+        return audioCtx.decodeAudioData(data.slice(0));
+    }
+
+    /**
+     * Load an audio file onto a track: decode it, keep it in IndexedDB,
+     * then point the track at it.
+     */
+    async function loadSampleFile(row, file) {
+        if (!audioCtx) return;
+        if (file.size > CONFIG.maxSampleBytes) {
+            showToast(`"${file.name}" is too large`);
+            return;
+        }
+        
+        let record;
+        try {
+            const data = await file.arrayBuffer();
+            const buffer = await decodeSample(data);
+            record = { id: createLibraryId(), name: file.name.replace(/\.[^.]+$/, '').slice(0, 32), data };
+            await storeSample(record);
+            sampleBuffers.set(record.id, buffer);
+        } catch (e) {
+            showToast(`Could not load "${file.name}"`);
+            console.error('Sample load error:', e);
+            return;
+        }
+        
+        pushHistory('Load sample');
+        tracks[row].sample = { id: record.id, name: record.name, start: 0 };
+        editingTrack = row;
+        renderTrackNames();
+        renderSoundEditor();
+        previewSound(row);
+        showToast(`Loaded "${record.name}"`);
+    }
+
+    // Back to the track's synth voice
+    function clearSample(row) {
+        pushHistory('Remove sample');
+        tracks[row].sample = null;
+        renderTrackNames();
+        renderSoundEditor();
+        previewSound(row);
+    }
+
+    /**
+     * Decode every sample the tracks refer to that isn't ready yet.
+     * Waits for the audio context; tracks stay silent until then.
+     */
+    function loadTrackSamples() {
+        if (!audioCtx) return Promise.resolve();
+        
+        return Promise.all(tracks.map(track => track.sample).filter(Boolean)
+            .map(sample => loadSampleBuffer(sample)));
+    }
+
+    function loadSampleBuffer(sample) {
+        if (sampleBuffers.has(sample.id)) return Promise.resolve();
+        if (!pendingSamples.has(sample.id)) {
+            const loading = fetchSample(sample.id)
+                .then(record => {
+                    if (!record) throw new Error('Not in the sample store');
+                    return decodeSample(record.data);
+                })
+                .then(buffer => sampleBuffers.set(sample.id, buffer))
+                .catch(e => {
+                    // Say so once; shared patterns don't carry their samples
+                    if (missingSamples.has(sample.id)) return;
+                    missingSamples.add(sample.id);
+                    showToast(`Sample "${sample.name}" is missing`);
+                    console.error('Sample restore error:', e);
+                })
+                .finally(() => pendingSamples.delete(sample.id));
+            pendingSamples.set(sample.id, loading);
+        }
+        return pendingSamples.get(sample.id);
+    }
+
+    // Files dragged from the desktop, as opposed to text or elements
+    function isFileDrag(e) {
+        return Array.from(e.dataTransfer.types).includes('Files');
+    }
+
+    // =========================================
+    // Audio Engine
+    // =========================================
+    function initAudio() {
+        if (audioCtx) return;
+        
+        audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+        
+        // Track strips (each with a meter) and master gain
+        mixGraph = createMixGraph(audioCtx, true);
+        
+        // Analyser for visualization
+        analyser = audioCtx.createAnalyser();
+        analyser.fftSize = 2048;
+        analyser.smoothingTimeConstant = 0.8;
+        analyser.minDecibels = CONFIG.spectrumMinDb;
+        analyser.maxDecibels = CONFIG.spectrumMaxDb;
+        
+        mixGraph.output.connect(analyser);
+        analyser.connect(audioCtx.destination);
+        
+        // Pre-allocate visualizer and meter data arrays (FIX: memory allocation)
+        waveformDataArray = new Uint8Array(analyser.frequencyBinCount);
+        spectrumDataArray = new Uint8Array(analyser.frequencyBinCount);
+        levelDataArray = new Float32Array(analyser.fftSize);
+        meterDataArray = new Float32Array(CONFIG.meterFftSize);
+        buildSpectrumScale();
+        
+        // Pre-generate noise buffers (FIX: noise buffer per hit)
+        getNoiseBuffers(audioCtx);
+        
+        loadTrackSamples();
+        
+        // Draw until the first silence; sounds wake it again
+        wakeVisualizer();
+    }
+    
+    /**
+     * Build the mixer for a context (live or offline): one strip per track
+     * feeding the master bus, then the bus effects. The caller connects
+     * output onwards.
+     * Strip: input (volume) -> panner -> gate (mute/solo) -> master, plus
+     * post-fader sends to the reverb and delay, whose returns also feed
+     * master. Hits with a pan or volume lock bring their own fader and
+     * panner and join at the gate.
+     * Bus: master -> [filter] -> [compressor] -> output.
+     * Voices connect to a strip's input.
+     * chokes holds the hits still ringing in each choke group;
+     * voices holds each note track's last synth note (see playSynthNote).
+     * A metered graph (the live one) taps each gate with an analyser for
+     * the mixer's level meters.
+     */
+    function createMixGraph(ctx, metered = false) {
+        const master = ctx.createGain();
+        const output = ctx.createGain();
+        master.gain.value = CONFIG.masterVolume;
+        
+        const graph = { ctx, master, output, metered, fx: createFxNodes(ctx, master), strips: [], chokes: new Map(), voices: new Map() };
+        graph.strips = tracks.map((_, row) => createStrip(graph, row));
+        
+        applyFxSettings(graph, false);
+        wireInserts(graph);
+        return graph;
+    }
+
+    function createStrip(graph, row) {
+        const ctx = graph.ctx;
+        const track = tracks[row];
+        const input = ctx.createGain();
+        const panner = ctx.createStereoPanner();
+        const gate = ctx.createGain();
+        const reverbSend = ctx.createGain();
+        const delaySend = ctx.createGain();
+        
+        input.gain.value = track.volume;
+        panner.pan.value = track.pan;
+        gate.gain.value = isTrackAudible(row) ? 1 : 0;
+        reverbSend.gain.value = track.reverbSend;
+        delaySend.gain.value = track.delaySend;
+        
+        input.connect(panner);
+        panner.connect(gate);
+        gate.connect(graph.master);
+        gate.connect(reverbSend);
+        gate.connect(delaySend);
+        reverbSend.connect(graph.fx.reverb.input);
+        delaySend.connect(graph.fx.delay.input);
+        
+        // Post-fader, after mute/solo: the meter shows what the track adds to the mix
+        let meter = null;
+        if (graph.metered) {
+            meter = ctx.createAnalyser();
+            meter.fftSize = CONFIG.meterFftSize;
+            gate.connect(meter);
+        }
+        
+        return { input, panner, gate, reverbSend, delaySend, meter, peak: CONFIG.meterFloorDb };
+    }
+
+    /**
+     * Effect nodes for one graph. Settings are applied by applyFxSettings
+     * and the bus inserts are connected by wireInserts.
+     * Delay: input -> delay -> damping -> output, with damping -> feedback
+     * -> delay making the repeats, each a little darker than the last.
+     */
+    function createFxNodes(ctx, bus) {
+        const reverb = {
+            input: ctx.createGain(),
+            convolver: ctx.createConvolver(),
+            output: ctx.createGain(),
+            size: null,    // Length of the current impulse
+            rebuild: null  // Timer for a live size change, see applyFxSettings
+        };
+        reverb.input.connect(reverb.convolver);
+        reverb.convolver.connect(reverb.output);
+        reverb.output.connect(bus);
+        
+        const delay = {
+            input: ctx.createGain(),
+            delay: ctx.createDelay(CONFIG.maxDelayTime),
+            damping: ctx.createBiquadFilter(),
+            feedback: ctx.createGain(),
+            output: ctx.createGain(),
+            time: null  // Delay time last set, see setDelayTempo
+        };
+        delay.damping.type = 'lowpass';
+        delay.damping.frequency.value = 4000;
+        delay.input.connect(delay.delay);
+        delay.delay.connect(delay.damping);
+        delay.damping.connect(delay.feedback);
+        delay.feedback.connect(delay.delay);
+        delay.damping.connect(delay.output);
+        delay.output.connect(bus);
+        
+        return {
+            reverb,
+            delay,
+            filter: ctx.createBiquadFilter(),
+            compressor: ctx.createDynamicsCompressor(),
+            inserts: null  // Which inserts are wired in, see wireInserts
+        };
+    }
+
+    /**
+     * Push the effect settings to a graph's nodes. smooth ramps the
+     * values (live tweaks); new graphs take them as they are. tempo is
+     * the one playing now, for the delay time.
+     */
+    function applyFxSettings(graph, smooth, tempo = bpm) {
+        const nodes = graph.fx;
+        const now = graph.ctx.currentTime;
+        const set = (param, value) => {
+            if (smooth) {
+                param.setTargetAtTime(value, now, 0.01);
+            } else {
+                param.value = value;
+            }
+        };
+        
+        // Building the room is slow, so a dragged size slider rebuilds it
+        // once it settles. A bypassed send effect just has its return closed
+        clearTimeout(nodes.reverb.rebuild);
+        if (nodes.reverb.size !== fx.reverb.size) {
+            if (smooth) {
+                nodes.reverb.rebuild = setTimeout(() => setReverbSize(graph), CONFIG.reverbRebuildDelay);
+            } else {
+                setReverbSize(graph);
+            }
+        }
+        set(nodes.reverb.output.gain, fx.reverb.enabled ? fx.reverb.level : 0);
+        
+        // Changes already scheduled by the steps ahead give way to this one
+        nodes.delay.delay.delayTime.cancelScheduledValues(now);
+        nodes.delay.time = null;
+        setDelayTempo(graph, tempo, now);
+        set(nodes.delay.feedback.gain, fx.delay.feedback);
+        set(nodes.delay.output.gain, fx.delay.enabled ? fx.delay.level : 0);
+        
+        nodes.filter.type = fx.filter.type;
+        set(nodes.filter.frequency, clampFrequency(fx.filter.frequency));
+        set(nodes.filter.Q, fx.filter.resonance);
+        
+        set(nodes.compressor.threshold, fx.compressor.threshold);
+        set(nodes.compressor.ratio, fx.compressor.ratio);
+        nodes.compressor.knee.value = 6;
+        nodes.compressor.attack.value = 0.003;
+        nodes.compressor.release.value = 0.25;
+    }
+
+    // Bypassed inserts are left out of the chain rather than set to neutral
+    function wireInserts(graph) {
+        const nodes = graph.fx;
+        const inserts = ['filter', 'compressor'].filter(effect => fx[effect].enabled);
+        if (nodes.inserts === inserts.join()) return;
+        
+        graph.master.disconnect();
+        nodes.filter.disconnect();
+        nodes.compressor.disconnect();
+        
+        const chain = [graph.master].concat(inserts.map(effect => nodes[effect]), graph.output);
+        for (let i = 1; i < chain.length; i++) {
+            chain[i - 1].connect(chain[i]);
+        }
+        nodes.inserts = inserts.join();
+    }
+
+    function setReverbSize(graph) {
+        graph.fx.reverb.convolver.buffer = createImpulse(graph.ctx, fx.reverb.size);
+        graph.fx.reverb.size = fx.reverb.size;
+    }
+
+    /**
+     * Sync the delay time to the tempo playing at time. It jumps, as
+     * ramping it would bend the pitch of the repeats; scheduleStep calls
+     * this every step so the repeats follow tempo changes and ramps.
+     */
+    function setDelayTempo(graph, tempo, time) {
+        const delay = graph.fx.delay;
+        const seconds = Math.min(CONFIG.maxDelayTime, 60 / tempo * fx.delay.time);
+        if (delay.time === seconds) return;
+        delay.delay.delayTime.setValueAtTime(seconds, time);
+        delay.time = seconds;
+    }
+
+    function applyFx() {
+        if (!audioCtx) return;
+        applyFxSettings(mixGraph, true, transport.bpm);
+        wireInserts(mixGraph);
+    }
+
+    /**
+     * Procedural room: stereo noise with an exponential decay, so no
+     * impulse files are needed. Seeded, like the voice noise, so renders
+     * are repeatable.
+     */
+    function createImpulse(ctx, seconds) {
+        const length = Math.floor(ctx.sampleRate * seconds);
+        const buffer = ctx.createBuffer(2, length, ctx.sampleRate);
+        
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            const random = createRandom(channel + 10);
+            for (let i = 0; i < length; i++) {
+                // About -60 dB by the end of the tail
+                data[i] = (random() * 2 - 1) * Math.exp(-6.9 * i / length);
+            }
+        }
+        
+        return buffer;
+    }
+
+    /**
+     * Match the live strips to the track count. Strips carry no settings
+     * of their own (applyMixer sets them by row), so only the count matters.
+     */
+    function rebuildMixStrips() {
+        if (!audioCtx) return;
+        
+        while (mixGraph.strips.length > tracks.length) {
+            mixGraph.strips.pop().panner.disconnect();
+        }
+        while (mixGraph.strips.length < tracks.length) {
+            mixGraph.strips.push(createStrip(mixGraph, mixGraph.strips.length));
+        }
+        mixGraph.voices.clear();  // Rows may have moved; ringing notes end on their own
+        applyMixer();
+    }
+    
+    /**
+     * Push the mixer state to the live strips. Short time constants avoid
+     * zipper noise while a fader is dragged.
+     */
+    function applyMixer() {
+        if (!audioCtx) return;
+        
+        const now = audioCtx.currentTime;
+        mixGraph.strips.forEach((strip, row) => {
+            const track = tracks[row];
+            strip.input.gain.setTargetAtTime(track.volume, now, 0.01);
+            strip.panner.pan.setTargetAtTime(track.pan, now, 0.01);
+            strip.gate.gain.setTargetAtTime(isTrackAudible(row) ? 1 : 0, now, 0.01);
+            strip.reverbSend.gain.setTargetAtTime(track.reverbSend, now, 0.01);
+            strip.delaySend.gain.setTargetAtTime(track.delaySend, now, 0.01);
+        });
+    }
+
+    /**
+     * Trigger a voice at an exact audio time.
+     * velocity is normalized 0-1; voices scale both level and tone with it.
+     * output is the node the voice connects to (a track strip or the master).
+     * params are the voice's synthesis settings (see SOUND_PARAMS).
+     * Returns the hit (see createHit), so a choke can cut it short.
+     */
+    function playSoundAtTime(soundName, time, velocity, output, params) {
+        switch(soundName) {
+            case 'kick':
+                return playKick(time, velocity, output, params);
+            case 'snare':
+                return playSnare(time, velocity, output, params);
+            case 'hihat':
+                return playHihat(time, velocity, output, params);
+            case 'openhat':
+                return playOpenHat(time, velocity, output, params);
+            case 'tom':
+                return playTom(time, velocity, output, params);
+            case 'clap':
+                return playClap(time, velocity, output, params);
+            case 'rim':
+                return playRim(time, velocity, output, params);
+        }
+        return null;
+    }
+    
+    /**
+     * A voice's sounding part: its own gain into output, which a choke
+     * fades, and every source it started with the time it stops. end is
+     * when the last of them stops.
+     */
+    function createHit(output, time) {
+        const gain = output.context.createGain();
+        gain.connect(output);
+        return { output: gain, sources: [], start: time, end: time };
+    }
+
+    function startSource(hit, source, start, stop, offset = 0) {
+        source.start(start, offset);
+        source.stop(stop);
+        hit.sources.push({ source, stop });
+        hit.end = Math.max(hit.end, stop);
+    }
+
+    // Fade a hit out from time (a few ms, no click) and stop what still sounds
+    function stopHit(hit, time) {
+        const stop = time + 0.05;
+        hit.output.gain.setTargetAtTime(0, time, 0.005);
+        hit.sources.forEach(entry => {
+            if (entry.stop <= stop) return;
+            entry.source.stop(stop);
+            entry.stop = stop;
+        });
+        hit.end = Math.min(hit.end, stop);
+    }
+    
+    /**
+     * Metronome tick for count-in and recording. Goes straight to the
+     * output so track mutes, faders and effects don't touch it; higher on
+     * the downbeat.
+     */
+    function playMetronome(time, downbeat) {
+        const osc = audioCtx.createOscillator();
+        const gain = audioCtx.createGain();
+        
+        osc.type = 'sine';
+        osc.frequency.value = downbeat ? 1760 : 1320;
+        gain.gain.setValueAtTime(0.4, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+        
+        osc.connect(gain);
+        gain.connect(mixGraph.output);
+        osc.start(time);
+        osc.stop(time + 0.06);
+    }
+    
+    /**
+     * Play a track's sound through its strip in a mix graph.
+     * locks (a step's parameter locks) override the track's settings for
+     * this hit only; voices ignore the pan/volume entries.
+     * note ({ pitch, duration, slide, hold }, see getSynthNote) is
+     * what a note track plays; without one it plays its root for a step.
+     * A sample on a note track is repitched from the root.
+     * A hit in a choke group cuts every earlier hit of that group still
+     * ringing (a note picked up legato isn't a new hit).
+     */
+    function playTrackAtTime(graph, row, time, velocity = 1, locks = null, note = null) {
+        const track = tracks[row];
+        let params = locks ? Object.assign({}, track.params, locks) : track.params;
+        const output = locks && (locks.pan !== undefined || locks.volume !== undefined)
+            ? createLockedRoute(graph, row, locks)
+            : graph.strips[row].input;
+        
+        if (isSynthTrack(row) && !note) {
+            note = { pitch: getRootNote(track), duration: getStepDuration(), slide: false, hold: false };
+        }
+        let hit;
+        if (track.sample) {
+            if (note) params = Object.assign({}, params, { tune: params.tune + note.pitch - getRootNote(track) });
+            hit = playSampleTrack(track, time, velocity, output, params);
+        } else if (note) {
+            hit = playSynthNote(graph, row, time, velocity, output, params, note);
+        } else {
+            hit = playSoundAtTime(track.sound, time, velocity, output, params);
+        }
+        
+        if (hit && track.choke) {
+            chokeGroup(graph, track.choke, time);
+            graph.chokes.get(track.choke).push(hit);
+        }
+        if (graph === mixGraph) wakeVisualizer();
+    }
+
+    // A hit's own fader and panner, in place of the strip's, into the gate
+    function createLockedRoute(graph, row, locks) {
+        const track = tracks[row];
+        const gain = graph.ctx.createGain();
+        const panner = graph.ctx.createStereoPanner();
+        
+        gain.gain.value = locks.volume !== undefined ? locks.volume : track.volume;
+        panner.pan.value = locks.pan !== undefined ? locks.pan : track.pan;
+        
+        gain.connect(panner);
+        panner.connect(graph.strips[row].gate);
+        return gain;
+    }
+
+    // Sample voice. Silent (no hit) until the sample is decoded.
+    function playSampleTrack(track, time, velocity, output, params) {
+        const buffer = sampleBuffers.get(track.sample.id);
+        if (!buffer) return null;
+        
+        return playSample(time, velocity, output, params, buffer, track.sample.start);
+    }
+
+    function playSample(time, velocity, output, p, buffer, start) {
+        const ctx = output.context;
+        const hit = createHit(output, time);
+        const source = ctx.createBufferSource();
+        const offset = start * buffer.duration;
+        
+        // tune repitches the sample, changing its length like a turntable
+        source.buffer = buffer;
+        source.playbackRate.value = getPitchRatio(p);
+        hit.output.gain.value = velocity;
+        
+        source.connect(hit.output);
+        startSource(hit, source, time, time + (buffer.duration - offset) / source.playbackRate.value, offset);
+        
+        return hit;
+    }
+
+    // Cut the group's hits sounding at time; ones that already ended are dropped
+    function chokeGroup(graph, group, time) {
+        const hits = graph.chokes.get(group) || [];
+        const later = [];
+        
+        hits.forEach(hit => {
+            if (hit.start >= time) {
+                // Already scheduled past this point (a preview during playback)
+                later.push(hit);
+            } else if (hit.end > time) {
+                stopHit(hit, time);
+            }
+        });
+        graph.chokes.set(group, later);
+    }
+    
+    // Convenience for immediate playback (previews); delay in seconds
+    function playTrack(row, velocity = 1, locks = null, delay = 0, note = null) {
+        if (!audioCtx) return;
+        playTrackAtTime(mixGraph, row, audioCtx.currentTime + delay, velocity, locks, note);
+    }
+
+    /**
+     * Monophonic bass synth after the TB-303: sawtooth -> resonant
+     * low-pass with its own decay -> amp. Each track has one voice per
+     * graph, so a new note cuts the last one. A held note (it slides, or
+     * the next step is tied) is picked up by the next hit, which glides
+     * (slide) or steps (tie) to its pitch without a new attack; if that
+     * hit never comes the note releases a step late.
+     * Returns the voice when it starts a new one; a voice is a hit (see
+     * createHit) whose output is its amp.
+     */
+    function playSynthNote(graph, row, time, velocity, output, p, note) {
+        const frequency = clampFrequency(getNoteFrequency(note.pitch) * getPitchRatio(p));
+        let voice = graph.voices.get(row);
+        let hit;
+        
+        if (voice && voice.held && voice.start < time && voice.end > time) {
+            if (voice.slide) {
+                voice.osc.frequency.setTargetAtTime(frequency, time, CONFIG.slideTime / 3);
+            } else {
+                voice.osc.frequency.setValueAtTime(frequency, time);
+            }
+            voice.output.gain.cancelScheduledValues(time);
+            hit = null;
+        } else {
+            if (voice && voice.start < time && voice.end > time) releaseSynthVoice(voice, time, 0.005);
+            voice = startSynthVoice(time, velocity, output, p, frequency);
+            graph.voices.set(row, voice);
+            hit = voice;
+        }
+        
+        voice.held = note.hold;
+        voice.slide = note.slide;
+        releaseSynthVoice(voice, note.hold
+            ? time + note.duration + getStepDuration()
+            : time + note.duration * CONFIG.synthGate, 0.015);
+        return hit;
+    }
+
+    // Accents open the filter further and close it faster, like a 303's
+    function startSynthVoice(time, velocity, output, p, frequency) {
+        const ctx = output.context;
+        const accent = velocity >= velocityToLevel(VELOCITY.accent);
+        const cutoff = 300 * p.tone;
+        const peak = cutoff * (1 + 16 * p.envelope * (accent ? 1.5 : 1));
+        
+        const osc = ctx.createOscillator();
+        osc.type = 'sawtooth';
+        osc.frequency.setValueAtTime(frequency, time);
+        
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.Q.value = 1 + 19 * p.resonance;
+        filter.frequency.setValueAtTime(clampFrequency(peak), time);
+        filter.frequency.setTargetAtTime(clampFrequency(cutoff), time, 0.12 * p.decay * (accent ? 0.5 : 1));
+        
+        const voice = Object.assign(createHit(output, time), { osc, held: false, slide: false });
+        const amp = voice.output.gain;
+        amp.setValueAtTime(0, time);
+        amp.linearRampToValueAtTime(0.5 * velocity * (accent ? 1.3 : 1), time + 0.003);
+        
+        osc.connect(filter);
+        filter.connect(voice.output);
+        osc.start(time);
+        
+        // Runs until released
+        voice.sources.push({ source: osc, stop: Infinity });
+        voice.end = Infinity;
+        return voice;
+    }
+
+    // Fade the voice out from time; it stops once silent
+    function releaseSynthVoice(voice, time, fade) {
+        voice.output.gain.cancelScheduledValues(time);
+        voice.output.gain.setTargetAtTime(0, time, fade);
+        voice.end = time + fade * 8;
+        voice.osc.stop(voice.end);
+        voice.sources[0].stop = voice.end;
+    }
+
+    function velocityToLevel(velocity) {
+        return velocity / VELOCITY.max;
+    }
+
+    function playKick(time, velocity, output, p) {
+        const ctx = output.context;
+        const hit = createHit(output, time);
+        const pitch = getPitchRatio(p);
+        const decay = 0.3 * p.decay;
+        
+        // Oscillator for the body
+        const osc = ctx.createOscillator();
+        const oscGain = ctx.createGain();
+        
+        // Harder hits (and more tone) start the sweep a little higher
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime((130 + 20 * velocity) * pitch * p.tone, time);
+        osc.frequency.exponentialRampToValueAtTime(30 * pitch, time + 0.1);
+        
+        oscGain.gain.setValueAtTime(velocity, time);
+        oscGain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+        
+        osc.connect(oscGain);
+        oscGain.connect(hit.output);
+        
+        startSource(hit, osc, time, time + decay);
+        
+        // Click transient is more velocity-sensitive than the body
+        playClick(time, p.click * velocity * velocity, 1000 * p.tone, hit);
+        
+        // Optional beater noise
+        playNoiseBurst(time, p.noise * velocity, 3000 * p.tone, 0.03 * p.decay, hit);
+        
+        return hit;
+    }
+
+    function playSnare(time, velocity, output, p) {
+        const ctx = output.context;
+        const hit = createHit(output, time);
+        const pitch = getPitchRatio(p);
+        const noiseDecay = 0.2 * p.decay;
+        const bodyDecay = 0.1 * p.decay;
+        
+        // Noise burst for the snap (using pre-generated buffer)
+        const noiseSource = ctx.createBufferSource();
+        noiseSource.buffer = getNoiseBuffers(ctx).long;
+        noiseSource.loop = true;  // Long decays outlast the buffer
+        
+        const noiseFilter = ctx.createBiquadFilter();
+        noiseFilter.type = 'highpass';
+        noiseFilter.frequency.value = clampFrequency(1000 * p.tone);
+        
+        // Snappier (more noise) on harder hits
+        const noiseGain = ctx.createGain();
+        noiseGain.gain.setValueAtTime(p.noise * velocity * velocity, time);
+        noiseGain.gain.exponentialRampToValueAtTime(0.001, time + noiseDecay);
+        
+        noiseSource.connect(noiseFilter);
+        noiseFilter.connect(noiseGain);
+        noiseGain.connect(hit.output);
+        
+        startSource(hit, noiseSource, time, time + noiseDecay);
+        
+        // Body tone
+        const osc = ctx.createOscillator();
+        const oscGain = ctx.createGain();
+        
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(180 * pitch, time);
+        osc.frequency.exponentialRampToValueAtTime(80 * pitch, time + 0.1);
+        
+        oscGain.gain.setValueAtTime(0.5 * velocity, time);
+        oscGain.gain.exponentialRampToValueAtTime(0.001, time + bodyDecay);
+        
+        osc.connect(oscGain);
+        oscGain.connect(hit.output);
+        
+        startSource(hit, osc, time, time + bodyDecay + 0.05);
+        
+        playClick(time, p.click * velocity, 2000 * p.tone, hit);
+        
+        return hit;
+    }
+
+    // length is the decay at decay 1: closed by default, longer for the open hat
+    function playHihat(time, velocity, output, p, length = 0.08) {
+        const ctx = output.context;
+        const hit = createHit(output, time);
+        const pitch = getPitchRatio(p);
+        const decay = length * p.decay;
+        
+        // High-frequency noise (using pre-generated buffer)
+        const noiseSource = ctx.createBufferSource();
+        noiseSource.buffer = getNoiseBuffers(ctx).medium;
+        noiseSource.loop = true;  // Long decays outlast the buffer
+        
+        const highpass = ctx.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = clampFrequency(7000 * p.tone);
+        
+        // Brighter on harder hits
+        const bandpass = ctx.createBiquadFilter();
+        bandpass.type = 'bandpass';
+        bandpass.frequency.value = clampFrequency((8000 + 2000 * velocity) * pitch);
+        bandpass.Q.value = 1;
+        
+        const noiseGain = ctx.createGain();
+        noiseGain.gain.setValueAtTime(p.noise * velocity, time);
+        noiseGain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+        
+        noiseSource.connect(highpass);
+        highpass.connect(bandpass);
+        bandpass.connect(noiseGain);
+        noiseGain.connect(hit.output);
+        
+        startSource(hit, noiseSource, time, time + decay + 0.02);
+        
+        playClick(time, p.click * velocity, 8000 * p.tone, hit);
+        
+        return hit;
+    }
+
+    // Rings until a closed hat in its choke group cuts it
+    function playOpenHat(time, velocity, output, p) {
+        return playHihat(time, velocity, output, p, 0.5);
+    }
+
+    function playTom(time, velocity, output, p) {
+        const ctx = output.context;
+        const hit = createHit(output, time);
+        const pitch = getPitchRatio(p);
+        const decay = 0.25 * p.decay;
+        
+        const osc = ctx.createOscillator();
+        const oscGain = ctx.createGain();
+        
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime((180 + 20 * velocity) * pitch * p.tone, time);
+        osc.frequency.exponentialRampToValueAtTime(80 * pitch, time + 0.2);
+        
+        oscGain.gain.setValueAtTime(0.7 * velocity, time);
+        oscGain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+        
+        osc.connect(oscGain);
+        oscGain.connect(hit.output);
+        
+        startSource(hit, osc, time, time + decay);
+        
+        playClick(time, p.click * velocity, 1500 * p.tone, hit);
+        playNoiseBurst(time, p.noise * velocity, 4000 * p.tone, 0.04 * p.decay, hit);
+        
+        return hit;
+    }
+
+    function playClap(time, velocity, output, p) {
+        const ctx = output.context;
+        const hit = createHit(output, time);
+        const pitch = getPitchRatio(p);
+        
+        // Multiple noise bursts for realistic clap (using pre-generated buffer)
+        for (let i = 0; i < 3; i++) {
+            const noiseSource = ctx.createBufferSource();
+            noiseSource.buffer = getNoiseBuffers(ctx).short;
+            
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'bandpass';
+            filter.frequency.value = clampFrequency((2000 + 500 * velocity) * pitch);
+            filter.Q.value = 3;
+            
+            const noiseGain = ctx.createGain();
+            const startTime = time + (i * 0.01);
+            noiseGain.gain.setValueAtTime(p.noise * velocity, startTime);
+            noiseGain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.02);
+            
+            noiseSource.connect(filter);
+            filter.connect(noiseGain);
+            noiseGain.connect(hit.output);
+            
+            startSource(hit, noiseSource, startTime, startTime + 0.03);
+        }
+        
+        // Tail (using pre-generated buffer)
+        const tailDecay = 0.12 * p.decay;
+        const tailSource = ctx.createBufferSource();
+        tailSource.buffer = getNoiseBuffers(ctx).long;
+        tailSource.loop = true;  // Long decays outlast the buffer
+        
+        const tailFilter = ctx.createBiquadFilter();
+        tailFilter.type = 'bandpass';
+        tailFilter.frequency.value = clampFrequency(2500 * pitch * p.tone);
+        tailFilter.Q.value = 2;
+        
+        // Tail sits a little under the bursts (0.4 vs 0.6 by default)
+        const tailGain = ctx.createGain();
+        tailGain.gain.setValueAtTime(p.noise * (2 / 3) * velocity, time + 0.03);
+        tailGain.gain.exponentialRampToValueAtTime(0.001, time + 0.03 + tailDecay);
+        
+        tailSource.connect(tailFilter);
+        tailFilter.connect(tailGain);
+        tailGain.connect(hit.output);
+        
+        startSource(hit, tailSource, time + 0.03, time + 0.06 + tailDecay);
+        
+        playClick(time, p.click * velocity, 3000 * p.tone, hit);
+        
+        return hit;
+    }
+
+    function playRim(time, velocity, output, p) {
+        const ctx = output.context;
+        const hit = createHit(output, time);
+        const pitch = getPitchRatio(p);
+        const decay = 0.03 * p.decay;
+        
+        // Sharp high click
+        const osc = ctx.createOscillator();
+        const osc2 = ctx.createOscillator();
+        const gain = ctx.createGain();
+        
+        osc.type = 'triangle';
+        osc.frequency.value = 800 * pitch;
+        
+        osc2.type = 'square';
+        osc2.frequency.value = 1200 * pitch;
+        
+        // Square partial adds bite on harder hits (and with more tone)
+        const osc2Gain = ctx.createGain();
+        osc2Gain.gain.value = 0.3 * velocity * p.tone;
+        
+        // The click level is the rim's main level
+        gain.gain.setValueAtTime(p.click * velocity, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+        
+        osc.connect(gain);
+        osc2.connect(osc2Gain);
+        osc2Gain.connect(gain);
+        gain.connect(hit.output);
+        
+        startSource(hit, osc, time, time + decay);
+        startSource(hit, osc2, time, time + decay);
+        
+        playNoiseBurst(time, p.noise * velocity, 5000 * p.tone, 0.02 * p.decay, hit);
+        
+        return hit;
+    }
+
+    /**
+     * Short falling sine blip: the attack "click" layer.
+     * Silent levels are skipped so unused layers cost nothing.
+     */
+    function playClick(time, level, frequency, hit) {
+        if (level <= 0) return;
+        
+        const ctx = hit.output.context;
+        const click = ctx.createOscillator();
+        const clickGain = ctx.createGain();
+        
+        click.type = 'sine';
+        click.frequency.setValueAtTime(clampFrequency(frequency), time);
+        click.frequency.exponentialRampToValueAtTime(clampFrequency(frequency / 10), time + 0.02);
+        
+        clickGain.gain.setValueAtTime(level, time);
+        clickGain.gain.exponentialRampToValueAtTime(0.001, time + 0.02);
+        
+        click.connect(clickGain);
+        clickGain.connect(hit.output);
+        
+        startSource(hit, click, time, time + 0.02);
+    }
+
+    // Short band-passed noise layer for voices that are tonal by default
+    function playNoiseBurst(time, level, frequency, decay, hit) {
+        if (level <= 0) return;
+        
+        const ctx = hit.output.context;
+        const noiseSource = ctx.createBufferSource();
+        noiseSource.buffer = getNoiseBuffers(ctx).short;
+        noiseSource.loop = true;
+        
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = clampFrequency(frequency);
+        filter.Q.value = 1;
+        
+        const noiseGain = ctx.createGain();
+        noiseGain.gain.setValueAtTime(level, time);
+        noiseGain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+        
+        noiseSource.connect(filter);
+        filter.connect(noiseGain);
+        noiseGain.connect(hit.output);
+        
+        startSource(hit, noiseSource, time, time + decay + 0.01);
+    }
+
+    function getPitchRatio(p) {
+        return Math.pow(2, p.tune / 12);
+    }
+
+    // Equal temperament, A4 (note 69) = 440 Hz
+    function getNoteFrequency(note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    }
+
+    // Keep filter/oscillator frequencies below Nyquist at any export rate
+    function clampFrequency(frequency) {
+        return Math.max(20, Math.min(CONFIG.maxFrequency, frequency));
+    }
+
+    /**
+     * Noise buffers for a context, generated on first use.
+     * Live playback and offline renders each get their own set.
+     */
+    function getNoiseBuffers(ctx) {
+        let buffers = noiseBuffers.get(ctx);
+        if (!buffers) {
+            buffers = {
+                short: createNoiseBuffer(ctx, 0.05, 1),   // Clap bursts, rim
+                medium: createNoiseBuffer(ctx, 0.15, 2),  // Hi-hat
+                long: createNoiseBuffer(ctx, 0.3, 3)      // Snare, clap tail
+            };
+            noiseBuffers.set(ctx, buffers);
+        }
+        return buffers;
+    }
+
+    /**
+     * Noise is seeded so renders of the same pattern are sample-identical.
+     */
+    function createNoiseBuffer(ctx, duration, seed) {
+        const sampleRate = ctx.sampleRate;
+        const length = Math.floor(sampleRate * duration);
+        const buffer = ctx.createBuffer(1, length, sampleRate);
+        const data = buffer.getChannelData(0);
+        const random = createRandom(seed);
+        
+        for (let i = 0; i < length; i++) {
+            data[i] = random() * 2 - 1;
+        }
+        
+        return buffer;
+    }
+
+    /**
+     * Small seeded PRNG (mulberry32). Returns a function giving floats in [0, 1).
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // =========================================
+    // Sequencer (Look-ahead Scheduler Pattern)
+    // =========================================
+    
+    /**
+     * Calculate the duration of one step (see STEP_RESOLUTIONS) in seconds.
+     * Playback follows its transport's tempo (see getTransportStepDuration).
+     */
+    function getStepDuration(tempo = bpm) {
+        return 60.0 / tempo * getStepQuarters();
+    }
+    
+    /**
+     * Swing delays the second step of each pair, counted from the start
+     * of the felt beat, so a beat's odd step out (the 3 in 7/8) stays
+     * straight. Triplets swing already, so they ignore it.
+     */
+    function getSwingOffset(step, target = pattern, stepDuration = getStepDuration()) {
+        if (isTripletResolution() || getStepsIntoBeat(step) % 2 === 0) return 0;
+        return (target.swing / 50 - 1) * stepDuration;
+    }
+    
+    // Steps since the felt beat step is in started (beats start on a step unless in triplets)
+    function getStepsIntoBeat(step) {
+        let count = 0;
+        while (step - count > 0 && getStepBeat(step - count) < 0) count++;
+        return count;
+    }
+    
+    function getNudgeOffset(cell, stepDuration = getStepDuration()) {
+        if (!cell.nudge) return 0;
+        return cell.nudge / CONFIG.nudgeTicksPerStep * stepDuration;
+    }
+    
+    /**
+     * The earliest a nudged hit can sound before its grid position.
+     * The scheduler has to look this much further ahead.
+     */
+    function getMaxEarlyOffset(stepDuration = getStepDuration()) {
+        return CONFIG.maxNudgeTicks / CONFIG.nudgeTicksPerStep * stepDuration;
+    }
+    
+    /**
+     * Start the sequencer using Web Audio look-ahead scheduling.
+     * This provides sample-accurate timing regardless of JavaScript timing jitter.
+     */
+    function startSequencer() {
+        if (isPlaying) return;
+        
+        isPlaying = true;
+        elements.playBtn.classList.add('playing');
+        elements.playBtn.querySelector('.btn-text').textContent = 'Stop';
+        
+        // Initialize timing - start slightly in the future
+        transport = createTransport(currentPatternIndex);
+        transport.fill = fillMode;
+        transport.random = createRandom(Date.now());  // Live chance varies from run to run
+        
+        // Song mode always starts from the top of the chain
+        if (songMode) {
+            startPattern(transport, advanceSong(transport), true);
+            selectPattern(transport.patternIndex);
+        } else {
+            startPattern(transport, currentPatternIndex);
+        }
+        transport.nextStepTime = audioCtx.currentTime + 0.05;
+        lastScheduledStep = -1;
+        scheduledSteps = [];
+        
+        // Recording starts after a bar of clicks
+        if (isRecording && elements.recordCountIn.checked) {
+            transport.nextStepTime += playCountIn(transport.nextStepTime);
+        }
+        sendMidiRealtime(0xFA, transport.nextStepTime);  // Start
+        
+        renderBank();
+        renderSongStatus(transport.songPosition);
+        wakeVisualizer();
+        
+        // Start the scheduler loop
+        scheduler();
+    }
+
+    function stopSequencer() {
+        if (!isPlaying) return;
+        
+        isPlaying = false;
+        elements.playBtn.classList.remove('playing');
+        elements.playBtn.querySelector('.btn-text').textContent = 'Play';
+        
+        if (schedulerTimerId) {
+            clearTimeout(schedulerTimerId);
+            schedulerTimerId = null;
+        }
+        
+        // Clear step highlight
+        clearStepHighlight();
+        transport = createTransport(currentPatternIndex);
+        midiClockPulses = null;
+        renderBpm();  // Back to the project tempo
+        stopMidiOutput();
+        setRecording(false);
+        
+        queuedPatternIndex = null;
+        // A bar switch may have been scheduled but not yet shown
+        showPattern();
+        renderSongStatus();
+    }
+
+    function togglePlayback() {
+        if (isPlaying) {
+            stopSequencer();
+        } else {
+            startSequencer();
+        }
+    }
+
+    /**
+     * The look-ahead scheduler.
+     * 
+     * This runs frequently (every ~25ms) but schedules audio events
+     * using audioCtx.currentTime, which is rock-solid.
+     * 
+     * The key insight: setTimeout is ONLY used to wake up the scheduler.
+     * Actual timing comes from Web Audio's clock.
+     */
+    function scheduler() {
         if (!isPlaying) return;
         
-        isPlaying = false;
-        elements.playBtn.classList.remove('playing');
-        elements.playBtn.querySelector('.btn-text').textContent = 'Play';
+        // Schedule all steps that fall within our look-ahead window.
+        // Nudged hits can sound early, so the window is widened by that amount.
+        while (transport.nextStepTime - getMaxEarlyOffset(getTransportStepDuration(transport)) <
+               audioCtx.currentTime + CONFIG.scheduleAheadTime) {
+            // A pattern shortened past the playhead starts over, on a bar line
+            if (transport.step >= bank[transport.patternIndex].length) {
+                transport.step = 0;
+                handleBarEnd(transport.nextStepTime);
+            }
+            wrapTrackPlayheads(transport);
+            
+            // Schedule this step's sounds
+            const stepTime = scheduleStep(transport, mixGraph, isTrackAudible, sendMidiHit);
+            sendMidiClock(transport.nextStepTime);
+            trackScheduledStep(stepTime);
+            
+            if (isRecording && elements.recordMetronome.checked) {
+                scheduleMetronome(transport.step, transport.nextStepTime);
+            }
+            
+            // Schedule UI update (approximate, visual only)
+            scheduleStepUI(transport.step, transport.trackSteps.slice(), stepTime, transport.bpm);
+            
+            // Advance to next step
+            advancePlayheads(transport);
+            
+            // Pattern changes only ever happen on the bar line
+            if (transport.step === 0) {
+                handleBarEnd(transport.nextStepTime);
+            }
+        }
+        
+        // Wake up again soon to check if more scheduling is needed
+        schedulerTimerId = setTimeout(scheduler, CONFIG.lookaheadInterval);
+    }
+    
+    /**
+     * Playback position: which pattern is playing, the master and per-track
+     * playheads, the song position, the tempo and the time of the next step.
+     * Live playback and offline renders each drive their own transport
+     * through the same functions, so both play a pattern identically.
+     */
+    function createTransport(patternIndex) {
+        return {
+            patternIndex,
+            step: 0,                                 // Master playhead (position in pattern length)
+            trackSteps: Array(tracks.length).fill(0), // Per-track playheads
+            trackLoops: Array(tracks.length).fill(0), // Times each track has wrapped, for trig conditions
+            songPosition: null,                      // { entry, repeat } once the chain has started
+            nextStepTime: 0,                         // Straight-grid time of the next step
+            stepCount: 0,                            // Steps advanced since the start
+            bpm: bpm,                                // Tempo at the next step
+            ramp: null,                              // Tempo ramp in progress (see applyTempoChange)
+            fill: false,                             // Fill trigs play (the live Fill button)
+            random: createRandom(1)                  // Chance trigs; a fixed seed keeps renders repeatable
+        };
+    }
+    
+    /**
+     * Move the master playhead and every track's own playhead one step.
+     * Tracks wrap at their own length, which is what produces polymeter.
+     * The master playhead wraps to the first step even when the pattern was
+     * shortened under it, so the bar line (and swing pairing) restart there.
+     */
+    function advancePlayheads(t) {
+        const target = bank[t.patternIndex];
+        t.nextStepTime += getTransportStepDuration(t);
+        t.stepCount++;
+        advanceTempo(t);
+        t.step = getNextStep(t.step, target);
+        for (let row = 0; row < tracks.length; row++) {
+            const next = t.trackSteps[row] + 1;
+            t.trackSteps[row] = next < getTrackLength(row, target) ? next : 0;
+            if (t.trackSteps[row] === 0) t.trackLoops[row]++;
+        }
+    }
+    
+    // A track shortened past its playhead starts its next loop rather than play beyond its end
+    function wrapTrackPlayheads(t) {
+        const target = bank[t.patternIndex];
+        for (let row = 0; row < tracks.length; row++) {
+            if (t.trackSteps[row] >= getTrackLength(row, target)) {
+                t.trackSteps[row] = 0;
+                t.trackLoops[row]++;
+            }
+        }
+    }
+    
+    function getNextStep(step, target) {
+        return step + 1 < target.length ? step + 1 : 0;
+    }
+    
+    /**
+     * Switch a transport to another pattern (no-op for null) and make its
+     * tempo change. inSong: the pattern starts the transport's song entry,
+     * whose own tempo change wins and ramps over all its repeats.
+     */
+    function startPattern(t, patternIndex, inSong = false) {
+        if (patternIndex === null) return;
+        t.patternIndex = patternIndex;
+        // A new pattern (or song entry) starts all tracks together, on their first loop
+        t.trackSteps.fill(0);
+        t.trackLoops.fill(0);
+        
+        const target = bank[patternIndex];
+        const entry = inSong ? song.chain[t.songPosition.entry] : null;
+        if (entry && entry.tempo) {
+            applyTempoChange(t, entry.tempo, target.length * entry.repeats);
+        } else if (target.tempo) {
+            applyTempoChange(t, target.tempo, target.length);
+        }
+    }
+    
+    /**
+     * Called when the live master playhead wraps. Picks the pattern for the next
+     * bar (next song entry or a queued switch) and swaps it in, so the new
+     * pattern starts exactly on the bar line. The editor switches when the
+     * bar line is heard (see scheduleBarUI), so edits until then still land
+     * in the pattern on screen.
+     */
+    function handleBarEnd(time) {
+        const nextIndex = songMode ? advanceSong(transport) : queuedPatternIndex;
+        queuedPatternIndex = null;
+        
+        startPattern(transport, nextIndex, songMode);
+        scheduleBarUI(nextIndex, time);
+    }
+    
+    /**
+     * Schedule audio for a transport's current playheads into a mix graph.
+     * shouldPlay(row) picks the tracks (mute/solo live, one track for a stem).
+     * nextStepTime stays on the straight grid; swing is applied per step
+     * so changing it live never lets the grid drift. Each cell's micro-timing
+     * nudge is applied on top of the (swung) step time, and its parameter
+     * locks go to the voice. Trig conditions are decided by getStepHits;
+     * a ratchet's repeats are spread over the step as it sounds (swung).
+     * onHit(row, time, velocity, gap, note), if given, is told about every
+     * hit (MIDI out); gap is the time to the next repeat, or null, and
+     * note is set on note tracks.
+     * Returns the swung step time.
+     */
+    function scheduleStep(t, graph, shouldPlay, onHit) {
+        const target = bank[t.patternIndex];
+        const stepDuration = getTransportStepDuration(t);
+        const time = t.nextStepTime + getSwingOffset(t.step, target, stepDuration);
+        const duration = getSwungStepDuration(t, target);
+        const hits = getStepHits(t, target);
+        setDelayTempo(graph, t.bpm, t.nextStepTime);
+        
+        for (let row = 0; row < tracks.length; row++) {
+            if (!shouldPlay(row)) continue;
+            
+            const cell = target.grid[row][t.trackSteps[row]];
+            if (hits[row]) {
+                // An early nudge on the very first step can't play in the past
+                const hitTime = Math.max(graph.ctx.currentTime, time + getNudgeOffset(cell, stepDuration));
+                const gap = cell.ratchet ? duration / cell.ratchet : null;
+                getRatchetHits(cell, duration).forEach((hit, index, all) => {
+                    const note = isSynthTrack(row)
+                        ? getSynthNote(target, row, t.trackSteps[row], cell, gap || duration, index === all.length - 1)
+                        : null;
+                    playTrackAtTime(graph, row, hitTime + hit.offset, velocityToLevel(hit.velocity), cell.locks, note);
+                    if (onHit) onHit(row, hitTime + hit.offset, hit.velocity, gap, note);
+                });
+            }
+        }
+        
+        return time;
+    }
+
+    /**
+     * What a note track's hit plays: its pitch, and whether the note is
+     * held into the next step (it slides, or that step is tied). Of a
+     * ratchet's repeats only the last can be held.
+     */
+    function getSynthNote(target, row, step, cell, duration, last = true) {
+        const next = target.grid[row][(step + 1) % getTrackLength(row, target)];
+        const slide = last && Boolean(cell.slide);
+        return {
+            pitch: getCellNote(row, cell),
+            duration,
+            slide,
+            hold: slide || (last && isCellActive(next) && Boolean(next.tie))
+        };
+    }
+
+    // From this step's swung start to the next one's
+    function getSwungStepDuration(t, target) {
+        const next = getNextStep(t.step, target);
+        const stepDuration = getTransportStepDuration(t);
+        return stepDuration + getSwingOffset(next, target, stepDuration) - getSwingOffset(t.step, target, stepDuration);
+    }
+
+    /**
+     * A step's hits: just the one, or cell.ratchet evenly spaced repeats
+     * across duration, optionally ramped. Returns [{ offset, velocity }].
+     */
+    function getRatchetHits(cell, duration) {
+        const count = cell.ratchet || 1;
+        return Array.from({ length: count }, (_, i) => {
+            let level = 1;
+            if (cell.ramp) {
+                const position = cell.ramp === 'up' ? i / (count - 1) : 1 - i / (count - 1);
+                level = CONFIG.ratchetRampFloor + (1 - CONFIG.ratchetRampFloor) * position;
+            }
+            return { offset: i * duration / count, velocity: clampVelocity(Math.max(1, cell.velocity * level)) };
+        });
+    }
+    
+    /**
+     * Which tracks fire on a transport's current step: the cell is active
+     * and its condition and chance pass. Every row is decided (and rolls
+     * its dice) whatever is being played, so a stem or the MIDI file gets
+     * the same hits as the full mix.
+     */
+    function getStepHits(t, target) {
+        return tracks.map((_, row) => {
+            const cell = target.grid[row][t.trackSteps[row]];
+            if (!isCellActive(cell)) return false;
+            
+            if (cell.chance !== undefined && t.random() * 100 >= cell.chance) return false;
+            return !cell.condition || isConditionMet(cell.condition, t.trackLoops[row], t.fill);
+        });
+    }
+
+    function isConditionMet(condition, loop, fill) {
+        switch (condition) {
+            case 'fill': return fill;
+            case '!fill': return !fill;
+            case 'first': return loop === 0;
+            case '!first': return loop > 0;
+        }
+        const [position, cycle] = condition.split(':').map(Number);
+        return loop % cycle === position - 1;
+    }
+    
+    /**
+     * Schedule UI highlight update.
+     * Uses setTimeout for visual sync (doesn't need to be sample-accurate)
+     */
+    function scheduleStepUI(step, rowSteps, time, tempo) {
+        const delay = Math.max(0, (time - audioCtx.currentTime) * 1000);
+        setTimeout(() => {
+            if (isPlaying) {
+                updateStepHighlight(step, rowSteps);
+                renderBpm(tempo);
+            }
+        }, delay);
+    }
+
+    /**
+     * Swap the displayed (and edited) pattern and song position when the bar
+     * actually sounds. The audio side has already switched (up to one
+     * look-ahead earlier).
+     */
+    function scheduleBarUI(patternIndex, time) {
+        const position = transport.songPosition ? Object.assign({}, transport.songPosition) : null;
+        const delay = Math.max(0, (time - audioCtx.currentTime) * 1000);
+        setTimeout(() => {
+            if (!isPlaying) return;
+            if (patternIndex !== null) {
+                selectPattern(patternIndex);
+            }
+            renderSongStatus(position);
+        }, delay);
+    }
+
+    function setSwing(newSwing) {
+        pushHistory('Change swing', 'swing');
+        pattern.swing = Math.max(CONFIG.minSwing, Math.min(CONFIG.maxSwing, newSwing));
+        updateSwingDisplay();
+        // Applied per step in scheduler(), so live changes can't glitch
+    }
+
+    function updateSwingDisplay() {
+        elements.swingValue.textContent = pattern.swing;
+        elements.swingSlider.value = pattern.swing;
+        // Kept, not applied, while the steps are triplets (see getSwingOffset)
+        elements.swingSlider.disabled = isTripletResolution();
+        elements.swingSlider.title = isTripletResolution() ? 'Triplet steps already swing' : '';
+    }
+
+    // =========================================
+    // Meter
+    // =========================================
+    /**
+     * Change the time signature and/or step resolution. Patterns that are
+     * a whole number of bars keep that many bars where the new bar fits;
+     * other lengths are left alone.
+     */
+    function changeTiming(newMeter, newResolution) {
+        if (newMeter === meter && newResolution === resolution) return;
+        
+        pushHistory('Change meter');
+        const before = getBarSteps();
+        setTiming(newMeter, newResolution);
+        bank.forEach(target => {
+            const bars = target.length / before;
+            const length = bars * getBarSteps();
+            if (isWhole(bars) && isWhole(length) && length <= CONFIG.maxSteps) {
+                target.length = Math.round(length);
+            }
+        });
+        
+        elements.lengthInput.value = pattern.length;
+        updateSwingDisplay();
+        rebuildGrid();
+        renderBank();
+    }
+
+    // Unknown keys (older saves have none) fall back to 4/4 in 16ths
+    function setTiming(newMeter, newResolution) {
+        meter = METERS.hasOwnProperty(newMeter) ? newMeter : CONFIG.defaultMeter;
+        resolution = STEP_RESOLUTIONS.hasOwnProperty(newResolution) ? newResolution : CONFIG.defaultResolution;
+        elements.meterSelect.value = meter;
+        elements.resolutionSelect.value = resolution;
+    }
+
+    function isWhole(value) {
+        return Math.abs(value - Math.round(value)) < 1e-9;
+    }
+
+    function getStepQuarters() {
+        return STEP_RESOLUTIONS[resolution].quarters;
+    }
+
+    function isTripletResolution() {
+        return Boolean(STEP_RESOLUTIONS[resolution].triplet);
+    }
+
+    function getBarQuarters() {
+        return METERS[meter].beats * 4 / METERS[meter].unit;
+    }
+
+    // Steps in one bar; fractional when the bar doesn't divide evenly (7/8 in 1/8 triplets)
+    function getBarSteps() {
+        return getBarQuarters() / getStepQuarters();
+    }
+
+    // A new pattern is one bar, rounded up to whole steps
+    function getDefaultLength() {
+        return clampLength(Math.ceil(getBarSteps() - 1e-9));
+    }
+
+    // Where each felt beat starts, in quarter notes from the bar line
+    function getBeatPositions() {
+        const unit = 4 / METERS[meter].unit;
+        let position = 0;
+        return METERS[meter].groups.map(group => {
+            const start = position;
+            position += group * unit;
+            return start;
+        });
+    }
+
+    /**
+     * The beat that starts during step (0 = the downbeat), or -1. A beat
+     * that falls between two steps (6/8 in 1/8 triplets) belongs to the
+     * step it falls in. Bars count from the pattern's first step.
+     */
+    function getStepBeat(step) {
+        const size = getStepQuarters();
+        const bar = getBarQuarters();
+        const start = step * size;
+        const offset = start - Math.floor(start / bar + 1e-9) * bar;
+        const positions = getBeatPositions();
+        
+        for (let i = 0; i < positions.length; i++) {
+            // The next bar line can fall inside a step that starts in this bar
+            for (const position of [positions[i], positions[i] + bar]) {
+                if (position > offset - 1e-9 && position < offset + size - 1e-9) return i;
+            }
+        }
+        return -1;
+    }
+
+    // Meter and resolution pickers
+    function buildTimingOptions() {
+        elements.meterSelect.innerHTML = '';
+        Object.keys(METERS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = key;
+            elements.meterSelect.appendChild(option);
+        });
+        
+        elements.resolutionSelect.innerHTML = '';
+        Object.keys(STEP_RESOLUTIONS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = STEP_RESOLUTIONS[key].label;
+            elements.resolutionSelect.appendChild(option);
+        });
+        
+        setTiming(meter, resolution);
+    }
+
+    // =========================================
+    // Tempo
+    // =========================================
+    /**
+     * Set the project tempo. It is also where playback is, so a change
+     * takes effect on the next step and overrides a pattern's or song
+     * entry's tempo change still in progress.
+     */
+    function setBpm(newBpm) {
+        const previous = bpm;
+        bpm = clampBpm(newBpm);
+        if (bpm !== previous) {
+            transport.bpm = bpm;
+            transport.ramp = null;
+        }
+        renderBpm();
+        applyFx();  // Delay time follows the tempo
+    }
+
+    function clampBpm(value) {
+        const scale = Math.pow(10, CONFIG.bpmDecimals);
+        return Math.max(CONFIG.minBpm, Math.min(CONFIG.maxBpm, Math.round(value * scale) / scale));
+    }
+
+    // 120, 92.5, 128.25 (no trailing zeros)
+    function formatBpm(value) {
+        return String(Number(value.toFixed(CONFIG.bpmDecimals)));
+    }
+
+    // The readout shows the tempo playing, which tempo changes can move away from bpm
+    function renderBpm(playing = transport.bpm) {
+        elements.bpmValue.textContent = formatBpm(playing);
+        elements.bpmValue.classList.toggle('changed', playing !== bpm);
+        elements.bpmSlider.value = Math.round(bpm);
+        if (document.activeElement !== elements.bpmInput) elements.bpmInput.value = bpm;
+    }
+
+    /**
+     * Tap tempo: the average gap between the last few taps. A pause
+     * longer than CONFIG.tapTempoTimeout starts a new count.
+     */
+    function tapTempo() {
+        const now = performance.now();
+        if (tapTimes.length && now - tapTimes[tapTimes.length - 1] > CONFIG.tapTempoTimeout) {
+            tapTimes = [];
+        }
+        tapTimes.push(now);
+        if (tapTimes.length > CONFIG.tapTempoTaps) tapTimes.shift();
+        if (tapTimes.length < 2) return;
+        
+        const beatMs = (tapTimes[tapTimes.length - 1] - tapTimes[0]) / (tapTimes.length - 1);
+        pushHistory('Tap tempo', 'bpm');
+        // Taps aren't steady enough for more than a tenth of a BPM
+        setBpm(Math.round(600000 / beatMs) / 10);
+    }
+
+    /**
+     * A tempo change, made when a pattern or song entry starts: { bpm, ramp }.
+     * Without ramp the tempo jumps to bpm; with it the tempo glides there
+     * over the pattern (or the entry's repeats), see applyTempoChange.
+     * Returns null for an empty or unreadable tempo.
+     */
+    function createTempoChange(value, ramp = false) {
+        if (typeof value !== 'number' || !isFinite(value)) return null;
+        return { bpm: clampBpm(value), ramp: Boolean(ramp) };
+    }
+
+    function normalizeTempoChange(data) {
+        return data && typeof data === 'object' ? createTempoChange(data.bpm, data.ramp === true) : null;
+    }
+
+    function setPatternTempo(value, ramp) {
+        pushHistory('Pattern tempo', 'pattern-tempo');
+        pattern.tempo = createTempoChange(value, ramp);
+        showPatternTempo();
+    }
+
+    function showPatternTempo() {
+        elements.patternTempo.value = pattern.tempo ? pattern.tempo.bpm : '';
+        elements.patternRamp.checked = Boolean(pattern.tempo && pattern.tempo.ramp);
+        elements.patternRamp.disabled = !pattern.tempo;
+    }
+
+    /**
+     * Start a tempo change on a transport. A ramp moves the tempo evenly
+     * per step from where it is to change.bpm over steps steps, then holds.
+     */
+    function applyTempoChange(t, change, steps) {
+        if (change.ramp && steps > 1 && change.bpm !== t.bpm) {
+            t.ramp = { from: t.bpm, to: change.bpm, steps, step: 0 };
+        } else {
+            t.bpm = change.bpm;
+            t.ramp = null;
+        }
+    }
+
+    // The tempo a ramp has reached at a position (in steps, may be fractional)
+    function getRampTempo(ramp, position) {
+        return ramp.from + (ramp.to - ramp.from) * position / ramp.steps;
+    }
+
+    /**
+     * The length of a transport's current step. During a ramp the tempo
+     * keeps moving through the step, so this is the exact time it takes
+     * (the integral of the beat length over the step), and a ramp lands
+     * on the same time however it is split into steps.
+     */
+    function getTransportStepDuration(t) {
+        if (!t.ramp) return getStepDuration(t.bpm);
+        
+        const start = getRampTempo(t.ramp, t.ramp.step);
+        const end = getRampTempo(t.ramp, t.ramp.step + 1);
+        if (start === end) return getStepDuration(start);
+        return getStepDuration(1) * Math.log(end / start) / (end - start);
+    }
+
+    // Move a ramp on by one step; it ends on its target tempo
+    function advanceTempo(t) {
+        if (!t.ramp) return;
+        
+        t.ramp.step++;
+        if (t.ramp.step >= t.ramp.steps) {
+            t.bpm = t.ramp.to;
+            t.ramp = null;
+        } else {
+            t.bpm = getRampTempo(t.ramp, t.ramp.step);
+        }
+    }
+
+    // =========================================
+    // Live Recording
+    // =========================================
+    function toggleRecording() {
+        initAudio();
+        setRecording(!isRecording);
+        
+        // Arming while stopped starts playback (with the count-in)
+        if (isRecording && !isPlaying) {
+            startSequencer();
+        }
+    }
+
+    function setFillMode(enabled) {
+        fillMode = enabled;
+        transport.fill = enabled;
+        elements.fillBtn.classList.toggle('active', fillMode);
+        elements.fillBtn.setAttribute('aria-pressed', fillMode);
+    }
+
+    function setRecording(enabled) {
+        isRecording = enabled;
+        // Each take starts with nothing wiped
+        recordedRows.clear();
+        elements.recordBtn.classList.toggle('recording', isRecording);
+        elements.recordBtn.setAttribute('aria-pressed', isRecording);
+    }
+
+    /**
+     * Schedule a bar of metronome clicks from time, one per felt beat.
+     * Returns the bar's duration so the transport can start after it.
+     */
+    function playCountIn(time) {
+        const quarter = 60 / transport.bpm;
+        getBeatPositions().forEach((position, i) => {
+            playMetronome(time + position * quarter, i === 0);
+        });
+        return getBarQuarters() * quarter;
+    }
+
+    function scheduleMetronome(step, time) {
+        const beat = getStepBeat(step);
+        if (beat < 0) return;
+        playMetronome(time, beat === 0);
+    }
+
+    // Remember where each live step sounds so hits can be snapped to it
+    function trackScheduledStep(time) {
+        scheduledSteps.push({
+            time,
+            duration: getTransportStepDuration(transport),
+            patternIndex: transport.patternIndex,
+            rowSteps: transport.trackSteps.slice()
+        });
+        if (scheduledSteps.length > CONFIG.recordStepHistory) {
+            scheduledSteps.shift();
+        }
+    }
+
+    /**
+     * A pad was hit (number keys or MIDI). Always plays the track; while
+     * recording, also writes the hit into the grid.
+     */
+    function playPad(row, velocity) {
+        if (!audioCtx || row >= tracks.length) return;
+        
+        playTrack(row, velocityToLevel(velocity));
+        if (isRecording && isPlaying) {
+            recordHit(row, velocity, audioCtx.currentTime);
+        }
+    }
+
+    /**
+     * Write a hit into the nearest scheduled step of that track. Quantize
+     * strength pulls it towards the step; whatever is left over becomes a
+     * micro-timing nudge. Replace mode wipes the track on its first hit in a take.
+     */
+    function recordHit(row, velocity, time) {
+        let nearest = null;
+        scheduledSteps.forEach(entry => {
+            if (!nearest || Math.abs(entry.time - time) < Math.abs(nearest.time - time)) {
+                nearest = entry;
+            }
+        });
+        if (!nearest) return;
+        
+        const target = bank[nearest.patternIndex];
+        const step = nearest.rowSteps[row];
+        
+        pushHistory('Record', 'record');
+        if (elements.recordMode.value === 'replace' && !recordedRows.has(row)) {
+            recordedRows.add(row);
+            target.grid[row] = target.grid[row].map(() => createCell());
+        }
+        
+        const strength = parseInt(elements.recordQuantize.value, 10) / 100;
+        const offset = (time - nearest.time) * (1 - strength);
+        const nudge = clampNudge(Math.round(offset / nearest.duration * CONFIG.nudgeTicksPerStep));
+        
+        // Overdubbing onto an existing hit keeps the louder of the two and
+        // everything else the step holds (note, locks, chance, ratchet...)
+        const existing = target.grid[row][step];
+        const cell = isCellActive(existing) ? existing : createCell();
+        cell.velocity = clampVelocity(Math.max(cell.velocity, velocity));
+        if (nudge) {
+            cell.nudge = nudge;
+        } else {
+            delete cell.nudge;
+        }
+        target.grid[row][step] = cell;
+        
+        if (target === pattern) {
+            updateGridDisplay();
+            renderBank();
+        }
+    }
+
+    // Number row and numpad 1-9 play tracks 1-9
+    function getPadRow(code) {
+        const match = /^(?:Digit|Numpad)([1-9])$/.exec(code);
+        return match ? parseInt(match[1], 10) - 1 : null;
+    }
+
+    // =========================================
+    // UI Rendering
+    // =========================================
+    function buildGrid() {
+        elements.grid.innerHTML = '';
+        
+        const columns = getGridLength();
+        elements.grid.style.gridTemplateColumns = `repeat(${columns}, var(--cell-size))`;
+        elements.grid.style.gridTemplateRows = `repeat(${tracks.length}, var(--cell-size))`;
+        elements.grid.setAttribute('aria-label', `${pattern.length}-step drum pattern grid`);
+        
+        for (let row = 0; row < tracks.length; row++) {
+            const trackLength = getTrackLength(row);
+            
+            for (let step = 0; step < columns; step++) {
+                const cell = document.createElement('div');
+                cell.className = 'cell';
+                cell.classList.toggle('beat-start', isBeatStart(step));
+                cell.classList.toggle('bar-start', isBarStart(step));
+                cell.dataset.row = row;
+                cell.dataset.step = step;
+                cell.setAttribute('role', 'gridcell');
+                cell.setAttribute('aria-label', `${getTrackName(row)} step ${step + 1}`);
+                
+                // Steps past this track's end are shown but not playable
+                if (step >= trackLength) {
+                    cell.classList.add('out-of-range');
+                    cell.setAttribute('aria-disabled', 'true');
+                } else {
+                    cell.setAttribute('tabindex', '0');
+                }
+                
+                elements.grid.appendChild(cell);
+            }
+        }
+    }
+
+    function buildStepIndicators() {
+        elements.stepIndicators.innerHTML = '';
+        
+        for (let i = 0; i < getGridLength(); i++) {
+            const indicator = document.createElement('span');
+            indicator.className = 'step-indicator';
+            indicator.classList.toggle('beat-start', isBeatStart(i));
+            indicator.classList.toggle('bar-start', isBarStart(i));
+            indicator.classList.toggle('out-of-range', i >= pattern.length);
+            indicator.textContent = i + 1;
+            indicator.dataset.step = i;
+            elements.stepIndicators.appendChild(indicator);
+        }
+    }
+
+    /**
+     * Per-track length inputs, one per row beside the labels.
+     * Empty means "follow the pattern length".
+     */
+    function buildTrackLengthInputs() {
+        elements.trackLengths.innerHTML = '';
+        
+        for (let row = 0; row < tracks.length; row++) {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'track-length';
+            input.min = CONFIG.minSteps;
+            input.max = CONFIG.maxSteps;
+            input.placeholder = pattern.length;
+            input.value = pattern.trackLengths[row] || '';
+            input.dataset.row = row;
+            input.setAttribute('aria-label', `${getTrackName(row)} length in steps`);
+            elements.trackLengths.appendChild(input);
+        }
+    }
+
+    // First step of every beat after the first gets a visual gap; bars a wider one
+    function isBeatStart(step) {
+        return step > 0 && getStepBeat(step) >= 0;
+    }
+
+    function isBarStart(step) {
+        return step > 0 && getStepBeat(step) === 0;
+    }
+
+    /**
+     * One label per track: drag handle, editable name and remove button.
+     * The label carries data-row so samples can be dropped on it.
+     */
+    function buildRowLabels() {
+        elements.rowLabels.innerHTML = '';
+        
+        tracks.forEach((_, row) => {
+            const label = document.createElement('div');
+            label.className = 'label';
+            label.dataset.row = row;
+            
+            const handle = document.createElement('span');
+            handle.className = 'track-handle';
+            handle.draggable = true;
+            handle.textContent = '⋮⋮';
+            handle.title = 'Drag to reorder';
+            
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'track-name';
+            name.maxLength = 32;
+            name.spellcheck = false;
+            
+            const remove = document.createElement('button');
+            remove.className = 'track-remove';
+            remove.textContent = '×';
+            remove.disabled = tracks.length === 1;
+            
+            label.append(handle, name, remove);
+            elements.rowLabels.appendChild(label);
+        });
+        
+        renderTrackNames();
+    }
+
+    function rebuildGrid() {
+        buildRowLabels();
+        buildGrid();
+        buildStepIndicators();
+        buildTrackLengthInputs();
+        updateGridDisplay();
+        renderMixer();
+    }
+
+    /**
+     * One strip per track: mute, solo, volume fader, pan, the two
+     * effect sends and a level meter (RMS bar, peak mark).
+     * Everything is a native button/range so it works from the keyboard.
+     * Always followed by rebuildGrid, which renders the strips.
+     */
+    function buildMixer() {
+        elements.mixer.innerHTML = '';
+        
+        tracks.forEach((_, row) => {
+            const strip = document.createElement('div');
+            strip.className = 'mixer-strip';
+            strip.dataset.row = row;
+            
+            // The name opens the track in the sound editor
+            const name = document.createElement('button');
+            name.className = 'mixer-name';
+            name.textContent = getTrackName(row);
+            name.setAttribute('aria-label', `Edit ${getTrackName(row)} sound`);
+            
+            const mute = document.createElement('button');
+            mute.className = 'mixer-btn mixer-mute';
+            mute.textContent = 'M';
+            mute.setAttribute('aria-label', `Mute ${getTrackName(row)}`);
+            
+            const solo = document.createElement('button');
+            solo.className = 'mixer-btn mixer-solo';
+            solo.textContent = 'S';
+            solo.setAttribute('aria-label', `Solo ${getTrackName(row)}`);
+            
+            const volume = document.createElement('input');
+            volume.type = 'range';
+            volume.className = 'slider mixer-volume';
+            volume.min = 0;
+            volume.max = CONFIG.maxTrackVolume * 100;
+            volume.setAttribute('aria-label', `${getTrackName(row)} volume`);
+            
+            const pan = document.createElement('input');
+            pan.type = 'range';
+            pan.className = 'slider mixer-pan';
+            pan.min = -100;
+            pan.max = 100;
+            pan.setAttribute('aria-label', `${getTrackName(row)} pan`);
+            
+            const sends = ['reverb', 'delay'].map(bus => {
+                const send = document.createElement('input');
+                send.type = 'range';
+                send.className = 'slider mixer-send';
+                send.min = 0;
+                send.max = 100;
+                send.dataset.bus = bus;
+                send.title = `${FX_PARAMS[bus].label} send`;
+                send.setAttribute('aria-label', `${getTrackName(row)} ${bus} send`);
+                return send;
+            });
+            
+            const meter = document.createElement('div');
+            meter.className = 'mixer-meter';
+            meter.title = 'Level: RMS bar, peak mark';
+            meter.setAttribute('aria-hidden', 'true');
+            meter.append(document.createElement('span'), document.createElement('span'));
+            meter.firstChild.className = 'meter-rms';
+            meter.lastChild.className = 'meter-peak';
+            
+            strip.append(name, mute, solo, volume, pan, ...sends, meter);
+            elements.mixer.appendChild(strip);
+        });
+        // Rendered by rebuildGrid, once the grid rows match the strips
+    }
+
+    function renderMixer() {
+        elements.mixer.querySelectorAll('.mixer-strip').forEach(strip => {
+            const row = parseInt(strip.dataset.row);
+            const track = tracks[row];
+            const mute = strip.querySelector('.mixer-mute');
+            const solo = strip.querySelector('.mixer-solo');
+            const volume = strip.querySelector('.mixer-volume');
+            const pan = strip.querySelector('.mixer-pan');
+            
+            mute.classList.toggle('active', track.mute);
+            mute.setAttribute('aria-pressed', track.mute);
+            solo.classList.toggle('active', track.solo);
+            solo.setAttribute('aria-pressed', track.solo);
+            volume.value = Math.round(track.volume * 100);
+            volume.setAttribute('aria-valuetext', `${Math.round(track.volume * 100)}%`);
+            pan.value = Math.round(track.pan * 100);
+            pan.setAttribute('aria-valuetext', formatPan(track.pan));
+            strip.querySelectorAll('.mixer-send').forEach(send => {
+                const level = track[`${send.dataset.bus}Send`];
+                send.value = Math.round(level * 100);
+                send.setAttribute('aria-valuetext', `${Math.round(level * 100)}%`);
+            });
+            strip.classList.toggle('silent', !isTrackAudible(row));
+        });
+        
+        // Dim rows that won't be heard
+        elements.grid.querySelectorAll('.cell').forEach(cell => {
+            cell.classList.toggle('silent', !isTrackAudible(parseInt(cell.dataset.row)));
+        });
+    }
+
+    /**
+     * Sound editor: track picker plus one slider per SOUND_PARAMS entry.
+     */
+    function buildSoundEditor() {
+        elements.soundTrack.innerHTML = '';
+        tracks.forEach((track, row) => {
+            const option = document.createElement('option');
+            option.value = row;
+            option.textContent = getTrackName(row);
+            elements.soundTrack.appendChild(option);
+        });
+        
+        elements.sampleStart.max = CONFIG.maxSampleStart * 100;
+        
+        elements.trackChoke.innerHTML = '';
+        for (let group = 0; group <= CONFIG.chokeGroups; group++) {
+            const option = document.createElement('option');
+            option.value = group;
+            option.textContent = group ? `Group ${group}` : 'Off';
+            elements.trackChoke.appendChild(option);
+        }
+        
+        elements.soundParams.innerHTML = '';
+        Object.keys(SOUND_PARAMS).forEach(name => {
+            const spec = SOUND_PARAMS[name];
+            const control = document.createElement('label');
+            control.className = 'sound-param';
+            control.dataset.param = name;
+            
+            const label = document.createElement('span');
+            label.className = 'sound-param-label';
+            label.textContent = spec.label;
+            
+            const value = document.createElement('span');
+            value.className = 'sound-param-value';
+            value.dataset.param = name;
+            
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'slider';
+            slider.min = spec.min;
+            slider.max = spec.max;
+            slider.step = spec.step;
+            slider.dataset.param = name;
+            
+            control.append(label, value, slider);
+            elements.soundParams.appendChild(control);
+        });
+        
+        renderSoundEditor();
+    }
+
+    function renderSoundEditor() {
+        const track = tracks[editingTrack];
+        const params = track.params;
+        elements.soundTrack.value = editingTrack;
+        
+        elements.soundParams.querySelectorAll('input[data-param]').forEach(slider => {
+            const name = slider.dataset.param;
+            if (params[name] === undefined) return;  // Not one of this voice's
+            const text = formatParam(name, params[name]);
+            slider.value = params[name];
+            slider.setAttribute('aria-valuetext', text);
+            elements.soundParams.querySelector(`.sound-param-value[data-param="${name}"]`).textContent = text;
+        });
+        
+        // A sample replaces the synth voice, so only its own controls show
+        elements.soundParams.querySelectorAll('.sound-param').forEach(control => {
+            const name = control.dataset.param;
+            control.hidden = track.sample ? !SAMPLE_PARAMS.includes(name) : params[name] === undefined;
+        });
+        elements.trackChoke.value = track.choke;
+        elements.sampleControls.hidden = !track.sample;
+        if (track.sample) {
+            const start = `${Math.round(track.sample.start * 100)}%`;
+            elements.sampleName.textContent = track.sample.name;
+            elements.sampleStart.value = Math.round(track.sample.start * 100);
+            elements.sampleStart.setAttribute('aria-valuetext', start);
+            elements.sampleStartValue.textContent = start;
+        }
+    }
+
+    /**
+     * Names follow the loaded sample: row labels, mixer strips and the
+     * sound editor's track picker.
+     */
+    function renderTrackNames() {
+        elements.rowLabels.querySelectorAll('.label').forEach((label, row) => {
+            const track = tracks[row];
+            const name = label.querySelector('.track-name');
+            // Don't fight the user while they type
+            if (document.activeElement !== name) name.value = getTrackName(row);
+            name.setAttribute('aria-label', `Track ${row + 1} name (Alt+Up/Down to move)`);
+            name.title = track.sample ? `Sample: ${track.sample.name}` : SOUND_LABELS[track.sound];
+            label.querySelector('.track-remove').setAttribute('aria-label', `Remove ${getTrackName(row)}`);
+            label.classList.toggle('sample', Boolean(track.sample));
+        });
+        
+        elements.mixer.querySelectorAll('.mixer-strip').forEach(strip => {
+            const row = parseInt(strip.dataset.row);
+            const name = strip.querySelector('.mixer-name');
+            name.textContent = getTrackName(row);
+            name.setAttribute('aria-label', `Edit ${getTrackName(row)} sound`);
+        });
+        
+        elements.euclidTrack.querySelectorAll('option').forEach(option => {
+            option.textContent = getTrackName(parseInt(option.value));
+        });
+        
+        elements.rollTrack.querySelectorAll('option').forEach(option => {
+            option.textContent = getTrackName(parseInt(option.value));
+        });
+        
+        elements.soundTrack.querySelectorAll('option').forEach(option => {
+            option.textContent = getTrackName(parseInt(option.value));
+        });
+    }
+
+    /**
+     * Step editor for the step in lockTarget: its trig chance and
+     * condition, then one slider per LOCK_PARAMS entry. An unlocked
+     * parameter shows the track's own value.
+     */
+    function buildLockEditor() {
+        elements.stepCondition.innerHTML = '';
+        [['', 'Always']].concat(TRIG_CONDITIONS).forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            elements.stepCondition.appendChild(option);
+        });
+        
+        elements.stepRatchet.innerHTML = '';
+        for (let count = 1; count <= CONFIG.maxRatchet; count++) {
+            const option = document.createElement('option');
+            option.value = count;
+            option.textContent = count === 1 ? 'Off' : `×${count}`;
+            elements.stepRatchet.appendChild(option);
+        }
+        
+        elements.lockParams.innerHTML = '';
+        Object.keys(LOCK_PARAMS).forEach(name => {
+            const spec = LOCK_PARAMS[name];
+            // Not a label: it would hand clicks on the text to the unlock button
+            const control = document.createElement('div');
+            control.className = 'sound-param lock-param';
+            control.dataset.param = name;
+            
+            const label = document.createElement('span');
+            label.className = 'sound-param-label';
+            label.textContent = spec.label;
+            
+            const value = document.createElement('span');
+            value.className = 'sound-param-value';
+            
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'slider';
+            slider.min = spec.min;
+            slider.max = spec.max;
+            slider.step = spec.step;
+            slider.dataset.param = name;
+            slider.setAttribute('aria-label', `${spec.label} lock`);
+            
+            const unlock = document.createElement('button');
+            unlock.className = 'lock-unlock';
+            unlock.textContent = '×';
+            unlock.dataset.param = name;
+            unlock.setAttribute('aria-label', `Unlock ${spec.label.toLowerCase()}`);
+            
+            control.append(label, value, unlock, slider);
+            elements.lockParams.appendChild(control);
+        });
+    }
+
+    function openLocks(row, step) {
+        lockTarget = { row, step };
+        renderLocks();
+    }
+
+    function closeLocks() {
+        lockTarget = null;
+        renderLocks();
+    }
+
+    // Closes itself when the step is switched off or leaves the grid
+    function renderLocks() {
+        if (lockTarget) {
+            const { row, step } = lockTarget;
+            const valid = row < tracks.length && step < getTrackLength(row) &&
+                isCellActive(pattern.grid[row][step]);
+            if (!valid) lockTarget = null;
+        }
+        
+        elements.grid.querySelectorAll('.cell.lock-target').forEach(cell => cell.classList.remove('lock-target'));
+        elements.lockEditor.hidden = !lockTarget;
+        if (!lockTarget) return;
+        
+        const { row, step } = lockTarget;
+        const track = tracks[row];
+        const target = pattern.grid[row][step];
+        const locks = target.locks || {};
+        const cell = elements.grid.querySelector(`.cell[data-row="${row}"][data-step="${step}"]`);
+        if (cell) cell.classList.add('lock-target');
+        elements.lockTitle.textContent = `${getTrackName(row)} · step ${step + 1}`;
+        
+        const chance = target.chance !== undefined ? target.chance : 100;
+        elements.stepChance.value = chance;
+        elements.stepChance.setAttribute('aria-valuetext', `${chance}%`);
+        elements.stepChanceValue.textContent = `${chance}%`;
+        elements.stepCondition.value = target.condition || '';
+        elements.stepRatchet.value = target.ratchet || 1;
+        elements.stepRamp.value = target.ramp || '';
+        elements.stepRamp.disabled = !target.ratchet;
+        
+        elements.lockParams.querySelectorAll('.lock-param').forEach(control => {
+            const name = control.dataset.param;
+            const locked = locks[name] !== undefined;
+            const value = locked ? locks[name] : getTrackSetting(track, name);
+            const text = formatLock(name, value);
+            const slider = control.querySelector('input');
+            
+            // A sample only follows tune, like in the sound editor
+            control.hidden = Boolean(track.sample) && SOUND_PARAMS[name] !== undefined &&
+                !SAMPLE_PARAMS.includes(name);
+            control.classList.toggle('locked', locked);
+            slider.value = value;
+            slider.setAttribute('aria-valuetext', locked ? text : `${text} (track)`);
+            control.querySelector('.sound-param-value').textContent = text;
+            control.querySelector('.lock-unlock').disabled = !locked;
+        });
+        elements.lockClearBtn.disabled = !Object.keys(locks).length;
+    }
+
+    function getTrackSetting(track, name) {
+        return SOUND_PARAMS[name] ? track.params[name] : track[name];
+    }
+
+    function formatLock(name, value) {
+        if (name === 'pan') return formatPan(value);
+        if (name === 'volume') return `${Math.round(value * 100)}%`;
+        return formatParam(name, value);
+    }
+
+    /**
+     * One unit per FX_PARAMS entry: a bypass toggle, then a slider or
+     * select for each parameter.
+     */
+    function buildFxPanel() {
+        elements.fxUnits.innerHTML = '';
+        Object.keys(FX_PARAMS).forEach(effect => {
+            const unit = document.createElement('div');
+            unit.className = 'fx-unit';
+            unit.dataset.effect = effect;
+            
+            const toggle = document.createElement('button');
+            toggle.className = 'fx-toggle';
+            toggle.textContent = FX_PARAMS[effect].label;
+            toggle.setAttribute('aria-label', `${FX_PARAMS[effect].label} on`);
+            unit.appendChild(toggle);
+            
+            Object.keys(FX_PARAMS[effect].params).forEach(name => {
+                const spec = FX_PARAMS[effect].params[name];
+                const control = document.createElement('label');
+                control.className = 'sound-param';
+                
+                const label = document.createElement('span');
+                label.className = 'sound-param-label';
+                label.textContent = spec.label;
+                
+                const value = document.createElement('span');
+                value.className = 'sound-param-value';
+                
+                let input;
+                if (spec.options) {
+                    input = document.createElement('select');
+                    input.className = 'select-input';
+                    spec.options.forEach(([, text], index) => {
+                        const item = document.createElement('option');
+                        item.value = index;
+                        item.textContent = text;
+                        input.appendChild(item);
+                    });
+                } else {
+                    input = document.createElement('input');
+                    input.type = 'range';
+                    input.className = 'slider';
+                    // Log sliders run 0-1000 and are mapped by readFxControl
+                    input.min = spec.log ? 0 : spec.min;
+                    input.max = spec.log ? 1000 : spec.max;
+                    input.step = spec.log ? 1 : spec.step;
+                }
+                input.dataset.param = name;
+                input.setAttribute('aria-label', `${FX_PARAMS[effect].label} ${spec.label.toLowerCase()}`);
+                
+                control.append(label, value, input);
+                unit.appendChild(control);
+            });
+            
+            elements.fxUnits.appendChild(unit);
+        });
+        
+        renderFx();
+    }
+
+    function renderFx() {
+        elements.fxUnits.querySelectorAll('.fx-unit').forEach(unit => {
+            const effect = unit.dataset.effect;
+            const settings = fx[effect];
+            const toggle = unit.querySelector('.fx-toggle');
+            toggle.classList.toggle('active', settings.enabled);
+            toggle.setAttribute('aria-pressed', settings.enabled);
+            unit.classList.toggle('bypassed', !settings.enabled);
+            
+            unit.querySelectorAll('[data-param]').forEach(input => {
+                const name = input.dataset.param;
+                const spec = FX_PARAMS[effect].params[name];
+                const text = formatFxValue(spec, settings[name]);
+                if (spec.options) {
+                    input.value = spec.options.findIndex(([option]) => option === settings[name]);
+                } else {
+                    input.value = spec.log
+                        ? Math.round(Math.log(settings[name] / spec.min) / Math.log(spec.max / spec.min) * 1000)
+                        : settings[name];
+                    input.setAttribute('aria-valuetext', text);
+                }
+                input.closest('.sound-param').querySelector('.sound-param-value').textContent = spec.options ? '' : text;
+            });
+        });
+    }
+
+    // Option values can be fractions, so selects hold the option's index
+    function readFxControl(spec, raw) {
+        if (spec.options) return spec.options[parseInt(raw)][0];
+        if (spec.log) return Math.round(spec.min * Math.pow(spec.max / spec.min, parseInt(raw) / 1000));
+        return parseFloat(raw);
+    }
+
+    function formatFxValue(spec, value) {
+        if (spec.options) return spec.options.find(([option]) => option === value)[1];
+        if (spec.unit === 'Hz') return value >= 1000 ? `${(value / 1000).toFixed(1)} kHz` : `${value} Hz`;
+        if (spec.unit === 's') return `${value.toFixed(1)} s`;
+        if (spec.unit === 'dB') return `${value} dB`;
+        if (spec.unit === 'Q') return `Q ${value.toFixed(1)}`;
+        if (spec.unit) return `${value}${spec.unit}`;
+        return `${Math.round(value * 100)}%`;
+    }
+
+    function formatParam(name, value) {
+        const spec = SOUND_PARAMS[name];
+        if (name === 'tune') return `${value > 0 ? '+' : ''}${value} ${spec.unit}`;
+        if (spec.unit) return `${value.toFixed(2)}${spec.unit}`;
+        return `${Math.round(value * 100)}%`;
+    }
+
+    // Voices offered for new tracks
+    function buildVoiceOptions() {
+        elements.trackVoice.innerHTML = '';
+        SOUNDS.forEach(sound => {
+            const option = document.createElement('option');
+            option.value = sound;
+            option.textContent = SOUND_LABELS[sound];
+            elements.trackVoice.appendChild(option);
+        });
+    }
+
+    // Built-ins first, then the user's kits
+    function renderKitOptions(selected) {
+        const current = selected || elements.kitSelect.value;
+        elements.kitSelect.innerHTML = '';
+        
+        const names = Object.keys(BUILTIN_KITS).concat(Object.keys(getUserKits()));
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = isBuiltinKit(name) ? `${name} (built-in)` : name;
+            elements.kitSelect.appendChild(option);
+        });
+        
+        if (names.includes(current)) elements.kitSelect.value = current;
+    }
+
+    /**
+     * Port dropdowns. A saved port that is currently unplugged stays
+     * listed (and selected) so the setting survives until it returns.
+     */
+    function renderMidiPorts() {
+        [
+            { select: elements.midiInput, ports: midiAccess ? midiAccess.inputs : new Map(), id: midiSettings.input },
+            { select: elements.midiOutput, ports: midiAccess ? midiAccess.outputs : new Map(), id: midiSettings.output }
+        ].forEach(({ select, ports, id }) => {
+            select.innerHTML = '';
+            
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = 'None';
+            select.appendChild(none);
+            
+            let found = false;
+            ports.forEach(port => {
+                const option = document.createElement('option');
+                option.value = port.id;
+                option.textContent = port.name;
+                select.appendChild(option);
+                if (port.id === id) found = true;
+            });
+            
+            if (id && !found) {
+                const missing = document.createElement('option');
+                missing.value = id;
+                missing.textContent = 'Disconnected device';
+                select.appendChild(missing);
+            }
+            select.value = id;
+        });
+        
+        elements.midiChannel.value = midiSettings.channel;
+        elements.midiClock.value = midiSettings.clock;
+        elements.midiConnectBtn.textContent = midiAccess ? 'MIDI Connected' : 'Connect MIDI';
+        elements.midiConnectBtn.disabled = !!midiAccess;
+    }
+
+    function formatPan(pan) {
+        if (Math.abs(pan) < 0.005) return 'center';
+        return `${Math.round(Math.abs(pan) * 100)}% ${pan < 0 ? 'left' : 'right'}`;
+    }
+
+    // Refresh everything that shows the current pattern's settings
+    function showPattern() {
+        elements.patternName.value = pattern.name;
+        elements.lengthInput.value = pattern.length;
+        updateSwingDisplay();
+        showPatternTempo();
+        rebuildGrid();
+        renderBank();
+    }
+
+    function buildBankButtons() {
+        elements.bank.innerHTML = '';
+        
+        for (let i = 0; i < CONFIG.bankSize; i++) {
+            const button = document.createElement('button');
+            button.className = 'bank-btn';
+            button.dataset.index = i;
+            button.textContent = getBankLabel(i);
+            elements.bank.appendChild(button);
+        }
+    }
+
+    /**
+     * Bank slot states: current (shown), playing, queued (switches at bar end),
+     * empty (no steps set).
+     */
+    function renderBank() {
+        elements.bank.querySelectorAll('.bank-btn').forEach(button => {
+            const index = parseInt(button.dataset.index);
+            const slot = bank[index];
+            button.classList.toggle('current', index === currentPatternIndex);
+            button.classList.toggle('playing', isPlaying && index === currentPatternIndex);
+            button.classList.toggle('queued', index === queuedPatternIndex);
+            button.classList.toggle('empty', isPatternEmpty(slot));
+            button.title = slot.name;
+            button.setAttribute('aria-label', `${getBankLabel(index)}: ${slot.name}`);
+            button.setAttribute('aria-pressed', index === currentPatternIndex);
+        });
+    }
+
+    /**
+     * Library browser, newest first, filtered by the search box
+     * (matches the name or any tag). Entries that can't be loaded are
+     * listed as broken with only a Delete button.
+     */
+    function renderLibrary() {
+        const query = elements.libraryFilter.value.trim().toLowerCase();
+        const loadable = getLibrary();
+        const entries = readLibrary()
+            .filter(isListedEntry)
+            .filter(entry => !query ||
+                getEntryName(entry).toLowerCase().includes(query) ||
+                (Array.isArray(entry.tags) && entry.tags.some(tag => String(tag).includes(query))))
+            .sort((a, b) => (b.savedAt > a.savedAt ? 1 : -1));
+        
+        elements.libraryList.innerHTML = '';
+        hideLibraryPreview();
+        
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = query ? 'No saved patterns match' : 'No saved patterns yet';
+            elements.libraryList.appendChild(empty);
+            return;
+        }
+        
+        entries.forEach(entry => {
+            const broken = !loadable.includes(entry);
+            const entryName = getEntryName(entry);
+            const item = document.createElement('li');
+            item.className = 'library-entry';
+            item.classList.toggle('current', entry.id === currentLibraryId);
+            item.classList.toggle('broken', broken);
+            item.dataset.id = entry.id;
+            
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'library-entry-name text-input';
+            name.maxLength = 48;
+            name.value = entryName;
+            name.disabled = broken;
+            name.setAttribute('aria-label', `Rename ${entryName}`);
+            
+            const tags = document.createElement('span');
+            tags.className = 'library-tags';
+            tags.textContent = broken ? 'Can\'t be loaded: damaged, or saved by another version' :
+                entry.tags.map(tag => `#${tag}`).join(' ');
+            
+            const dates = document.createElement('span');
+            dates.className = 'library-dates';
+            dates.textContent = `Created ${formatDate(entry.createdAt)} · Modified ${formatDate(entry.savedAt)}`;
+            
+            const actions = document.createElement('span');
+            actions.className = 'library-actions';
+            const buttons = broken ? [['delete', 'Delete']] :
+                [['load', 'Load'], ['duplicate', 'Duplicate'], ['delete', 'Delete']];
+            buttons.forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary';
+                button.dataset.action = action;
+                button.textContent = label;
+                button.setAttribute('aria-label', `${label} ${entryName}`);
+                actions.appendChild(button);
+            });
+            
+            item.append(name, tags, dates, actions);
+            elements.libraryList.appendChild(item);
+        });
+    }
+
+    function formatDate(iso) {
+        const date = new Date(iso);
+        if (isNaN(date)) return 'unknown';
+        return date.toLocaleString(undefined, {
+            year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    // Mini grid of an entry's pattern, shown while hovering it in the list
+    function showLibraryPreview(id) {
+        const entry = findLibraryEntry(getLibrary(), id);
+        if (!entry) {
+            hideLibraryPreview();
+            return;
+        }
+        
+        const target = getEntryPattern(entry.data);
+        const preview = elements.libraryPreview;
+        preview.innerHTML = '';
+        preview.style.gridTemplateColumns = `repeat(${target.length}, 1fr)`;
+        
+        target.grid.forEach((row, rowIdx) => {
+            for (let step = 0; step < target.length; step++) {
+                const dot = document.createElement('span');
+                dot.className = 'library-preview-step';
+                if (step >= getTrackLength(rowIdx, target)) {
+                    dot.classList.add('out-of-range');
+                } else if (isCellActive(row[step])) {
+                    dot.classList.add('active');
+                    dot.style.setProperty('--velocity', velocityToLevel(row[step].velocity));
+                }
+                preview.appendChild(dot);
+            }
+        });
+        preview.classList.add('visible');
+    }
+
+    function hideLibraryPreview() {
+        elements.libraryPreview.classList.remove('visible');
+    }
+
+    // Chain editor: one row per entry with pattern, repeats and remove
+    function renderSong() {
+        elements.songChain.innerHTML = '';
+        
+        song.chain.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.className = 'song-entry';
+            item.dataset.index = index;
+            
+            const number = document.createElement('span');
+            number.className = 'song-entry-number';
+            number.textContent = index + 1;
+            
+            const select = document.createElement('select');
+            select.className = 'song-pattern';
+            select.setAttribute('aria-label', `Entry ${index + 1} pattern`);
+            bank.forEach((slot, slotIndex) => {
+                const option = document.createElement('option');
+                option.value = slotIndex;
+                option.textContent = `${getBankLabel(slotIndex)} - ${slot.name}`;
+                select.appendChild(option);
+            });
+            select.value = entry.pattern;
+            
+            const repeats = document.createElement('input');
+            repeats.type = 'number';
+            repeats.className = 'song-repeats number-input';
+            repeats.min = 1;
+            repeats.max = CONFIG.maxSongRepeats;
+            repeats.value = entry.repeats;
+            repeats.setAttribute('aria-label', `Entry ${index + 1} repeats`);
+            
+            // Empty keeps the pattern's own tempo change
+            const tempo = document.createElement('input');
+            tempo.type = 'number';
+            tempo.className = 'song-tempo number-input';
+            tempo.min = CONFIG.minBpm;
+            tempo.max = CONFIG.maxBpm;
+            tempo.step = 'any';
+            tempo.placeholder = 'BPM';
+            tempo.value = entry.tempo ? entry.tempo.bpm : '';
+            tempo.setAttribute('aria-label', `Entry ${index + 1} tempo`);
+            
+            const ramp = document.createElement('input');
+            ramp.type = 'checkbox';
+            ramp.className = 'song-ramp';
+            ramp.checked = Boolean(entry.tempo && entry.tempo.ramp);
+            ramp.disabled = !entry.tempo;
+            ramp.title = 'Ramp to this tempo over the entry';
+            ramp.setAttribute('aria-label', `Entry ${index + 1} tempo ramp`);
+            
+            const remove = document.createElement('button');
+            remove.className = 'song-remove btn btn-secondary';
+            remove.textContent = '✕';
+            remove.setAttribute('aria-label', `Remove entry ${index + 1}`);
+            
+            item.append(number, select, repeats, tempo, ramp, remove);
+            elements.songChain.appendChild(item);
+        });
+        
+        renderSongStatus(transport.songPosition);
+    }
+
+    function renderSongStatus(position) {
+        const chainItems = elements.songChain.querySelectorAll('.song-entry');
+        chainItems.forEach((item, index) => {
+            item.classList.toggle('playing', Boolean(isPlaying && songMode && position && position.entry === index));
+        });
+        
+        if (!songMode) {
+            elements.songStatus.textContent = 'Song mode off';
+            return;
+        }
+        if (!isPlaying || !position) {
+            elements.songStatus.textContent = `${song.chain.length} entries`;
+            return;
+        }
+        
+        const entry = song.chain[position.entry] || song.chain[0];
+        elements.songStatus.textContent = 
+            `Entry ${position.entry + 1}/${song.chain.length} · ` +
+            `${getBankLabel(entry.pattern)} · bar ${position.repeat + 1}/${entry.repeats}`;
+    }
+
+    function updateGridDisplay() {
+        const cells = elements.grid.querySelectorAll('.cell');
+        cells.forEach(cell => {
+            const row = parseInt(cell.dataset.row);
+            const step = parseInt(cell.dataset.step);
+            renderCell(cell, pattern.grid[row][step]);
+        });
+        renderLocks();
+        renderRoll();
+    }
+
+    function updateCellDisplay(row, step) {
+        const cell = elements.grid.querySelector(
+            `.cell[data-row="${row}"][data-step="${step}"]`
+        );
+        if (cell) {
+            renderCell(cell, pattern.grid[row][step]);
+        }
+        renderLocks();
+        if (row === rollRow) renderRoll();
+        // The slot's empty/filled state may have changed. Just this slot:
+        // drags and recording land here on every step
+        const slot = elements.bank.querySelector(`.bank-btn[data-index="${currentPatternIndex}"]`);
+        if (slot) slot.classList.toggle('empty', isPatternEmpty(pattern));
+    }
+
+    /**
+     * Reflect a cell's data on its element.
+     * --velocity (0-1) drives the level bar; soft/accent get their own look.
+     * Steps of note tracks show their note.
+     */
+    function renderCell(el, cell) {
+        const active = isCellActive(cell);
+        const note = active && isSynthTrack(el.dataset.row) ? formatNote(getCellNote(el.dataset.row, cell)) : '';
+        el.textContent = note;
+        el.classList.toggle('active', active);
+        el.classList.toggle('soft', active && cell.velocity <= VELOCITY.soft);
+        el.classList.toggle('accent', cell.velocity >= VELOCITY.accent);
+        el.classList.toggle('nudged', Boolean(cell.nudge));
+        el.classList.toggle('locked', Boolean(cell.locks));
+        el.classList.toggle('conditional', active && (cell.chance !== undefined || Boolean(cell.condition)));
+        el.classList.toggle('ratchet', Boolean(cell.ratchet));
+        el.classList.toggle('tie', Boolean(cell.tie));
+        el.classList.toggle('slide', Boolean(cell.slide));
+        el.style.setProperty('--ratchet', cell.ratchet || 1);
+        el.style.setProperty('--velocity', velocityToLevel(cell.velocity));
+        el.style.setProperty('--nudge', (cell.nudge || 0) / CONFIG.maxNudgeTicks);
+        el.setAttribute('aria-pressed', active);
+        el.setAttribute('aria-label',
+            `${getTrackName(el.dataset.row)} step ${parseInt(el.dataset.step) + 1}` +
+            (active ? `, velocity ${cell.velocity}` : '') +
+            (note ? `, ${note}${cell.tie ? ' tied' : ''}${cell.slide ? ' sliding' : ''}` : '') +
+            (cell.nudge ? `, nudged ${formatNudge(cell.nudge)}` : '') +
+            (cell.chance !== undefined ? `, ${cell.chance}% chance` : '') +
+            (cell.condition ? `, plays ${formatCondition(cell.condition)}` : '') +
+            (cell.ratchet ? `, ${cell.ratchet} repeats${cell.ramp ? ` ramping ${cell.ramp}` : ''}` : '') +
+            (cell.locks ? `, locked ${Object.keys(cell.locks).map(name => LOCK_PARAMS[name].label.toLowerCase()).join(', ')}` : ''));
+    }
+
+    function formatCondition(condition) {
+        const label = TRIG_CONDITIONS.find(([value]) => value === condition)[1];
+        return condition.includes(':') ? `on loop ${label}` : `on ${label.toLowerCase()}`;
+    }
+
+    function formatNudge(ticks) {
+        return `${ticks > 0 ? '+' : ''}${ticks}/${CONFIG.nudgeTicksPerStep}`;
+    }
+
+    // Key and scale pickers; the track picker follows the track list
+    function buildRollControls() {
+        NOTE_NAMES.forEach((name, key) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = name;
+            elements.rollKey.appendChild(option);
+        });
+        Object.keys(SCALES).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = SCALES[name].label;
+            elements.rollScale.appendChild(option);
+        });
+        buildRollTracks();
+    }
+
+    function buildRollTracks() {
+        const rows = tracks.map((_, row) => row).filter(isSynthTrack);
+        if (!rows.includes(rollRow)) rollRow = rows.length ? rows[0] : 0;
+        
+        elements.rollTrack.innerHTML = '';
+        rows.forEach(row => {
+            const option = document.createElement('option');
+            option.value = row;
+            option.textContent = getTrackName(row);
+            elements.rollTrack.appendChild(option);
+        });
+        elements.rollTrack.value = rollRow;
+        // Track moves or renames change the layout without changing its size
+        delete elements.roll.dataset.layout;
+    }
+
+    /**
+     * Piano roll for the note track in rollRow: a row per note (only the
+     * scale's notes unless it is chromatic, plus any other note a step
+     * already has) by a column per step, then the tie and slide toggles.
+     * Rebuilt when the layout changes; each render marks the steps' notes.
+     */
+    function renderRoll() {
+        const hasTrack = rollRow < tracks.length && isSynthTrack(rollRow);
+        elements.rollEmpty.hidden = hasTrack;
+        elements.roll.hidden = !hasTrack;
+        [elements.rollTrack, elements.rollKey, elements.rollScale].forEach(select => {
+            select.disabled = !hasTrack;
+        });
+        if (!hasTrack) return;
+        
+        const track = tracks[rollRow];
+        const cells = pattern.grid[rollRow];
+        const outside = [...new Set(cells.slice(0, getTrackLength(rollRow))
+            .filter(isCellActive)
+            .map(cell => getCellNote(rollRow, cell))
+            .filter(note => !isInScale(note, track)))];
+        const layout = `${rollRow}:${getTrackLength(rollRow)}:${meter}:${resolution}:${track.key}:${track.scale}:${outside.join(',')}`;
+        if (elements.roll.dataset.layout !== layout) buildRoll(layout, outside);
+        elements.rollKey.value = track.key;
+        elements.rollScale.value = track.scale;
+        
+        elements.roll.querySelectorAll('.roll-cell').forEach(el => {
+            const cell = cells[el.dataset.step];
+            const on = isCellActive(cell) && getCellNote(rollRow, cell) === parseInt(el.dataset.note);
+            el.classList.toggle('active', on);
+            el.classList.toggle('accent', on && cell.velocity >= VELOCITY.accent);
+            el.setAttribute('aria-pressed', on);
+        });
+        elements.roll.querySelectorAll('.roll-flag').forEach(el => {
+            const cell = cells[el.dataset.step];
+            const on = Boolean(cell[el.dataset.flag]);
+            el.classList.toggle('active', on);
+            el.setAttribute('aria-pressed', on);
+            el.disabled = !isCellActive(cell);
+        });
+    }
+
+    function buildRoll(layout, outside) {
+        const track = tracks[rollRow];
+        const length = getTrackLength(rollRow);
+        elements.roll.innerHTML = '';
+        elements.roll.dataset.layout = layout;
+        elements.roll.style.gridTemplateColumns = `var(--roll-label-width) repeat(${length}, var(--roll-cell-width))`;
+        elements.roll.setAttribute('aria-label', `${getTrackName(rollRow)} piano roll`);
+        
+        const addRow = (text, className, createButton) => {
+            const label = document.createElement('span');
+            label.className = `roll-label ${className}`;
+            label.textContent = text;
+            elements.roll.appendChild(label);
+            for (let step = 0; step < length; step++) {
+                const button = createButton(step);
+                button.classList.toggle('beat-start', isBeatStart(step));
+                button.classList.toggle('bar-start', isBarStart(step));
+                button.dataset.step = step;
+                elements.roll.appendChild(button);
+            }
+        };
+        
+        for (let note = CONFIG.maxNote; note >= CONFIG.minNote; note--) {
+            if (!isInScale(note, track) && !outside.includes(note)) continue;
+            const kind = note % 12 === track.key ? 'root' : !isInScale(note, track) ? 'outside' :
+                NOTE_NAMES[note % 12].includes('#') ? 'black' : 'white';
+            addRow(formatNote(note), kind, step => {
+                const button = document.createElement('button');
+                button.className = `roll-cell ${kind}`;
+                button.dataset.note = note;
+                button.setAttribute('aria-label', `${formatNote(note)} step ${step + 1}`);
+                return button;
+            });
+        }
+        ['tie', 'slide'].forEach(flag => {
+            const text = flag === 'tie' ? 'Tie' : 'Slide';
+            addRow(text, 'flag', step => {
+                const button = document.createElement('button');
+                button.className = 'roll-flag';
+                button.dataset.flag = flag;
+                button.setAttribute('aria-label', `${text} step ${step + 1}`);
+                return button;
+            });
+        });
+        
+        // Start with the root in view
+        const root = elements.roll.querySelector(`.roll-cell[data-note="${getRootNote(track)}"]`);
+        if (root) elements.roll.scrollTop = root.offsetTop - elements.roll.clientHeight / 2;
+    }
+
+    /**
+     * Highlight each track's playhead and the master step indicator.
+     * With per-track lengths the highlighted cells no longer share a column.
+     */
+    function updateStepHighlight(step, rowSteps) {
+        // Clear previous highlights
+        clearStepHighlight();
+        
+        // Highlight each track's current step
+        rowSteps.forEach((rowStep, row) => {
+            const cell = elements.grid.querySelector(
+                `.cell[data-row="${row}"][data-step="${rowStep}"]`
+            );
+            if (cell) cell.classList.add('current-step');
+        });
+        elements.roll.querySelectorAll(`[data-step="${rowSteps[rollRow]}"]`).forEach(cell => {
+            cell.classList.add('current-step');
+        });
+        
+        // Update step indicator
+        const indicators = elements.stepIndicators.querySelectorAll('.step-indicator');
+        indicators.forEach((ind, i) => {
+            ind.classList.toggle('current', i === step);
+        });
+    }
+
+    function clearStepHighlight() {
+        elements.grid.querySelectorAll('.cell.current-step').forEach(cell => {
+            cell.classList.remove('current-step');
+        });
+        elements.roll.querySelectorAll('.current-step').forEach(cell => {
+            cell.classList.remove('current-step');
+        });
+        elements.stepIndicators.querySelectorAll('.step-indicator.current').forEach(ind => {
+            ind.classList.remove('current');
+        });
+    }
+
+    // =========================================
+    // Visualization & Meters
+    // =========================================
+    /**
+     * Drawing runs on animation frames only while there is something to
+     * show: it starts with playback or any live hit and pauses once
+     * playback has stopped and the output has been silent for
+     * CONFIG.visualizerIdleMs.
+     */
+    function wakeVisualizer() {
+        visualizerQuietSince = null;
+        if (!analyser || visualizerFrame !== null) return;
+        lastVisualizerTime = performance.now();
+        visualizerFrame = requestAnimationFrame(drawVisualizer);
+    }
+
+    function drawVisualizer(now) {
+        visualizerFrame = null;
+        const elapsed = Math.max(0, now - lastVisualizerTime) / 1000;
+        lastVisualizerTime = now;
+        
+        const canvas = elements.waveform;
+        const ctx = canvas.getContext('2d');
+        if (visualizerMode === 'spectrum') {
+            drawSpectrum(ctx, canvas.width, canvas.height);
+        } else if (visualizerMode === 'spectrogram') {
+            drawSpectrogram(ctx, canvas);
+        } else {
+            drawWaveform(ctx, canvas.width, canvas.height);
+        }
+        
+        const sounding = updateMeters(elapsed);
+        if (isPlaying || sounding) {
+            visualizerQuietSince = null;
+        } else if (visualizerQuietSince === null) {
+            visualizerQuietSince = now;
+        } else if (now - visualizerQuietSince > CONFIG.visualizerIdleMs) {
+            resetMeters();
+            return;
+        }
+        visualizerFrame = requestAnimationFrame(drawVisualizer);
+    }
+
+    function drawWaveform(ctx, width, height) {
+        // Get waveform data (reusing pre-allocated array)
+        analyser.getByteTimeDomainData(waveformDataArray);
+        
+        // Clear canvas
+        ctx.fillStyle = '#0d0d0f';
+        ctx.fillRect(0, 0, width, height);
+        
+        // Draw waveform
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#bf5af2';
+        ctx.shadowColor = '#bf5af2';
+        ctx.shadowBlur = 10;
+        
+        ctx.beginPath();
+        
+        const bufferLength = waveformDataArray.length;
+        const sliceWidth = width / bufferLength;
+        let x = 0;
+        
+        for (let i = 0; i < bufferLength; i++) {
+            const v = waveformDataArray[i] / 128.0;
+            const y = (v * height) / 2;
+            
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+            
+            x += sliceWidth;
+        }
+        
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+        
+        // Draw center line
+        ctx.shadowBlur = 0;
+        ctx.strokeStyle = 'rgba(191, 90, 242, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+    }
+
+    // Magnitude against log frequency, lows on the left
+    function drawSpectrum(ctx, width, height) {
+        analyser.getByteFrequencyData(spectrumDataArray);
+        
+        ctx.fillStyle = '#0d0d0f';
+        ctx.fillRect(0, 0, width, height);
+        
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        for (let x = 0; x < spectrumColumns.length; x++) {
+            ctx.lineTo(x, height - spectrumDataArray[spectrumColumns[x]] / 255 * height);
+        }
+        ctx.lineTo(width, height);
+        ctx.closePath();
+        
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = 'rgba(191, 90, 242, 0.35)';
+        ctx.fill();
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = '#bf5af2';
+        ctx.stroke();
+    }
+
+    /**
+     * Scrolling spectrogram: the picture moves left a pixel a frame and
+     * the newest column, lows at the bottom, is drawn at the right edge.
+     */
+    function drawSpectrogram(ctx, canvas) {
+        analyser.getByteFrequencyData(spectrumDataArray);
+        
+        ctx.shadowBlur = 0;
+        ctx.drawImage(canvas, -1, 0);
+        
+        const data = spectrogramColumn.data;
+        for (let y = 0; y < spectrumRows.length; y++) {
+            const level = spectrumDataArray[spectrumRows[spectrumRows.length - 1 - y]];
+            // Dark through purple to near white
+            data[y * 4] = Math.min(255, level * 1.2);
+            data[y * 4 + 1] = Math.max(0, level * 2 - 280);
+            data[y * 4 + 2] = Math.min(255, 15 + level * 1.6);
+            data[y * 4 + 3] = 255;
+        }
+        ctx.putImageData(spectrogramColumn, canvas.width - 1, 0);
+    }
+
+    /**
+     * Analyser bin for each column (spectrum) and row (spectrogram),
+     * spaced evenly in log frequency from CONFIG.spectrumMinFrequency to
+     * Nyquist. Rebuilt whenever the canvas changes size.
+     */
+    function buildSpectrumScale() {
+        if (!analyser) return;
+        
+        const canvas = elements.waveform;
+        const nyquist = audioCtx.sampleRate / 2;
+        const bins = analyser.frequencyBinCount;
+        const toBin = position => {
+            const frequency = CONFIG.spectrumMinFrequency * Math.pow(nyquist / CONFIG.spectrumMinFrequency, position);
+            return Math.min(bins - 1, Math.round(frequency / nyquist * bins));
+        };
+        
+        spectrumColumns = Uint16Array.from({ length: canvas.width }, (_, x) => toBin(x / canvas.width));
+        spectrumRows = Uint16Array.from({ length: canvas.height }, (_, y) => toBin(y / canvas.height));
+        spectrogramColumn = canvas.getContext('2d').createImageData(1, canvas.height);
+    }
+
+    function setVisualizerMode(mode) {
+        visualizerMode = mode;
+        // Start the new view on a blank canvas
+        const canvas = elements.waveform;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#0d0d0f';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        wakeVisualizer();
+    }
+
+    /**
+     * Read every track meter and the master output for one frame.
+     * Peak marks hold the loudest recent level and fall at
+     * CONFIG.meterPeakFall. Returns whether anything is still sounding.
+     */
+    function updateMeters(elapsed) {
+        let sounding = false;
+        
+        mixGraph.strips.forEach((strip, row) => {
+            strip.meter.getFloatTimeDomainData(meterDataArray);
+            const peak = toDecibels(getPeakLevel(meterDataArray));
+            strip.peak = Math.max(peak, strip.peak - CONFIG.meterPeakFall * elapsed);
+            renderMeter(row, toDecibels(getRmsLevel(meterDataArray)), strip.peak);
+            if (peak > CONFIG.meterFloorDb) sounding = true;
+        });
+        
+        // Effect returns can ring on after every track has stopped
+        analyser.getFloatTimeDomainData(levelDataArray);
+        const master = getPeakLevel(levelDataArray);
+        if (master >= 1) setClipped(true);
+        return sounding || toDecibels(master) > CONFIG.meterFloorDb;
+    }
+
+    function resetMeters() {
+        mixGraph.strips.forEach((strip, row) => {
+            strip.peak = CONFIG.meterFloorDb;
+            renderMeter(row, CONFIG.meterFloorDb, CONFIG.meterFloorDb);
+        });
+    }
+
+    // Levels in dB, from CONFIG.meterFloorDb (empty) to 0 dB (full)
+    function renderMeter(row, rms, peak) {
+        const strip = elements.mixer.children[row];
+        if (!strip) return;
+        
+        const meter = strip.lastChild;
+        const fraction = db => Math.max(0, Math.min(1, 1 - db / CONFIG.meterFloorDb));
+        meter.firstChild.style.width = `${fraction(rms) * 100}%`;
+        meter.lastChild.style.left = `${fraction(peak) * 100}%`;
+        meter.classList.toggle('hot', peak > -3);
+    }
+
+    function getPeakLevel(data) {
+        let peak = 0;
+        for (let i = 0; i < data.length; i++) {
+            peak = Math.max(peak, Math.abs(data[i]));
+        }
+        return peak;
+    }
+
+    function getRmsLevel(data) {
+        let sum = 0;
+        for (let i = 0; i < data.length; i++) {
+            sum += data[i] * data[i];
+        }
+        return Math.sqrt(sum / data.length);
+    }
+
+    function toDecibels(level) {
+        return level > 0 ? 20 * Math.log10(level) : -Infinity;
+    }
+
+    // The clip light stays on until clicked, so a single over isn't missed
+    function setClipped(value) {
+        clipped = value;
+        elements.clipBtn.classList.toggle('active', clipped);
+        elements.clipBtn.setAttribute('aria-pressed', clipped);
+    }
+
+    // =========================================
+    // Storage
+    // =========================================
+    // Everything a save (or an undo step) holds
+    function getSaveData() {
+        return {
+            version: CONFIG.saveVersion,
+            bank: bank.map(serializePattern),
+            currentPattern: currentPatternIndex,
+            song: song,
+            tracks: tracks.map(serializeTrack),
+            fx: fx,
+            bpm: bpm,
+            meter: meter,
+            resolution: resolution
+        };
+    }
+
+    /**
+     * Quick save: overwrite the library entry being worked on, or start a
+     * new one named after the current pattern.
+     */
+    function savePattern() {
+        const entries = readLibrary();
+        const entry = findLibraryEntry(entries, currentLibraryId);
+        
+        if (!entry) {
+            saveToLibrary(pattern.name, []);
+            return;
+        }
+        
+        entry.data = getSaveData();
+        entry.savedAt = new Date().toISOString();
+        if (writeLibrary(entries)) {
+            renderLibrary();
+            showToast(`Saved "${entry.name}"`);
+        }
+    }
+
+    // Reload the entry being worked on (or the newest save)
+    function loadPattern() {
+        const entries = getLibrary();
+        const entry = entries.find(item => item.id === currentLibraryId) || getNewestEntry(entries);
+        if (!entry) {
+            showToast('No saved pattern found');
+            return;
+        }
+        loadLibraryEntry(entry.id);
+    }
+
+    /**
+     * Stored form of a bank slot. Untouched slots are stored as null
+     * to keep the save small.
+     */
+    function serializePattern(target, index) {
+        const untouched = isPatternEmpty(target) && !target.tempo &&
+            target.name === `Pattern ${getBankLabel(index)}`;
+        if (untouched) return null;
+        
+        return {
+            name: target.name,
+            // Only the playable part of each row is worth keeping
+            pattern: target.grid.map((row, rowIdx) => 
+                row.slice(0, target.trackLengths[rowIdx] || target.length).map(serializeCell)
+            ),
+            length: target.length,
+            trackLengths: target.trackLengths,
+            swing: target.swing,
+            tempo: target.tempo
+        };
+    }
+
+    // Plain velocity unless the cell has more to it (keeps saves and share links short)
+    function serializeCell(cell) {
+        if (Object.keys(cell).length === 1) return cell.velocity;
+        
+        const data = { velocity: cell.velocity };
+        if (cell.nudge) data.nudge = cell.nudge;
+        if (cell.locks) data.locks = cell.locks;
+        if (cell.chance !== undefined) data.chance = cell.chance;
+        if (cell.condition) data.condition = cell.condition;
+        if (cell.ratchet) data.ratchet = cell.ratchet;
+        if (cell.ramp) data.ramp = cell.ramp;
+        if (cell.note !== undefined) data.note = cell.note;
+        if (cell.tie) data.tie = true;
+        if (cell.slide) data.slide = true;
+        return data;
+    }
+
+    function serializeTrack(track) {
+        return {
+            sound: track.sound,
+            name: track.name,
+            params: track.params,
+            volume: track.volume,
+            pan: track.pan,
+            reverbSend: track.reverbSend,
+            delaySend: track.delaySend,
+            mute: track.mute,
+            solo: track.solo,
+            sample: track.sample,
+            choke: track.choke,
+            key: track.key,
+            scale: track.scale
+        };
+    }
+
+    // Older saves fall back to defaults for whatever they lack (sound, mixer, sample...)
+    function deserializeTrack(data, row) {
+        const saved = data && typeof data === 'object' ? data : {};
+        const sound = SOUNDS.includes(saved.sound) ? saved.sound : DEFAULT_TRACKS[row] || SOUNDS[0];
+        const track = createTrack(sound);
+        if (!data || typeof data !== 'object') return track;
+        
+        if (typeof data.name === 'string' && data.name.trim()) {
+            track.name = data.name.trim().slice(0, 32);
+        }
+        track.params = normalizeParams(sound, data.params);
+        if (typeof data.volume === 'number') {
+            track.volume = Math.max(0, Math.min(CONFIG.maxTrackVolume, data.volume));
+        }
+        if (typeof data.pan === 'number') {
+            track.pan = Math.max(-1, Math.min(1, data.pan));
+        }
+        ['reverbSend', 'delaySend'].forEach(send => {
+            if (typeof data[send] === 'number') track[send] = Math.max(0, Math.min(1, data[send]));
+        });
+        track.mute = data.mute === true;
+        track.solo = data.solo === true;
+        track.sample = normalizeSample(data.sample);
+        if (Number.isInteger(data.choke)) {
+            track.choke = Math.max(0, Math.min(CONFIG.chokeGroups, data.choke));
+        }
+        if (SYNTH_SOUNDS.includes(sound)) {
+            if (Number.isInteger(data.key)) track.key = ((data.key % 12) + 12) % 12;
+            if (isScale(data.scale)) track.scale = data.scale;
+        }
+        return track;
+    }
+
+    function normalizeSample(data) {
+        if (!data || typeof data.id !== 'string' || !data.id) return null;
+        return {
+            id: data.id,
+            name: typeof data.name === 'string' ? data.name : 'Sample',
+            start: typeof data.start === 'number' && isFinite(data.start) ?
+                Math.max(0, Math.min(CONFIG.maxSampleStart, data.start)) : 0
+        };
+    }
+
+    function deserializePattern(data, defaultName) {
+        const target = createPattern(typeof data.name === 'string' ? data.name : defaultName);
+        target.grid = normalizeGrid(data.pattern);
+        
+        // Older saves were always 16 steps with no per-track lengths
+        target.length = clampLength(data.length || data.pattern[0].length);
+        target.trackLengths = target.grid.map((_, row) => 
+            Array.isArray(data.trackLengths) && data.trackLengths[row] ?
+                clampLength(data.trackLengths[row]) : null
+        );
+        
+        // Older saves have no swing: play them straight
+        target.swing = Math.max(CONFIG.minSwing, Math.min(CONFIG.maxSwing, data.swing || CONFIG.defaultSwing));
+        target.tempo = normalizeTempoChange(data.tempo);
+        return target;
+    }
+
+    function isValidSaveData(data) {
+        return validateSaveData(data).length === 0;
+    }
+
+    /**
+     * Check save data against the schema. Returns a list of problems, each
+     * prefixed with where it was found; an empty list means the data is valid.
+     * Data without a version is a save from before the schema existed and
+     * may be a single pattern with boolean cells.
+     */
+    function validateSaveData(data) {
+        const errors = [];
+        const check = (ok, path, message) => {
+            if (!ok) errors.push(`${path}: ${message}`);
+            return ok;
+        };
+        
+        if (!check(isPlainObject(data), 'file', 'must be a JSON object')) return errors;
+        
+        if (data.version !== undefined) {
+            if (!check(Number.isInteger(data.version) && data.version >= 1, 'version', 'must be a whole number')) {
+                return errors;
+            }
+            if (!check(data.version <= CONFIG.saveVersion, 'version',
+                `${data.version} is newer than this app supports (${CONFIG.saveVersion})`)) {
+                return errors;
+            }
+            check(Array.isArray(data.bank), 'bank', 'is missing');
+        }
+        
+        if (Array.isArray(data.bank)) {
+            check(data.bank.length >= 1 && data.bank.length <= CONFIG.bankSize,
+                'bank', `must have 1-${CONFIG.bankSize} slots`);
+            // Every pattern has one row per track
+            const rows = Array.isArray(data.tracks) ? data.tracks.length : DEFAULT_TRACKS.length;
+            data.bank.forEach((entry, index) => {
+                if (entry !== null) validatePatternData(entry, `bank[${index}]`, check, rows);
+            });
+            if (data.currentPattern !== undefined) {
+                check(isIntegerInRange(data.currentPattern, 0, CONFIG.bankSize - 1),
+                    'currentPattern', `must be a slot number 0-${CONFIG.bankSize - 1}`);
+            }
+            if (data.song !== undefined) validateSongData(data.song, check);
+            if (data.tracks !== undefined) validateTrackData(data.tracks, check);
+            if (data.fx !== undefined) validateFxData(data.fx, check);
+        } else if (data.version === undefined) {
+            validatePatternData(data, 'pattern', check, DEFAULT_TRACKS.length);
+        }
+        
+        if (data.bpm !== undefined) {
+            check(isNumberInRange(data.bpm, CONFIG.minBpm, CONFIG.maxBpm),
+                'bpm', `must be ${CONFIG.minBpm}-${CONFIG.maxBpm}`);
+        }
+        if (data.meter !== undefined) {
+            check(METERS.hasOwnProperty(data.meter),
+                'meter', `must be one of ${Object.keys(METERS).join(', ')}`);
+        }
+        if (data.resolution !== undefined) {
+            check(STEP_RESOLUTIONS.hasOwnProperty(data.resolution),
+                'resolution', `must be one of ${Object.keys(STEP_RESOLUTIONS).join(', ')}`);
+        }
+        
+        return errors;
+    }
+
+    function validatePatternData(data, path, check, rows) {
+        if (!check(isPlainObject(data), path, 'must be an object')) return;
+        
+        if (data.name !== undefined) {
+            check(typeof data.name === 'string' && data.name.length <= 32,
+                `${path}.name`, 'must be text of up to 32 characters');
+        }
+        
+        if (!check(Array.isArray(data.pattern) && data.pattern.length === rows,
+            `${path}.pattern`, `must be a list of ${rows} rows (one per track)`)) return;
+        
+        data.pattern.forEach((row, rowIdx) => {
+            const rowPath = `${path}.pattern[${rowIdx}]`;
+            if (!check(Array.isArray(row) && row.length >= CONFIG.minSteps && row.length <= CONFIG.maxSteps,
+                rowPath, `must be a list of ${CONFIG.minSteps}-${CONFIG.maxSteps} steps`)) return;
+            row.forEach((cell, step) => validateCellData(cell, `${rowPath}[${step}]`, check));
+        });
+        
+        if (data.length !== undefined) {
+            check(isIntegerInRange(data.length, CONFIG.minSteps, CONFIG.maxSteps),
+                `${path}.length`, `must be ${CONFIG.minSteps}-${CONFIG.maxSteps}`);
+        }
+        if (data.trackLengths !== undefined &&
+            check(Array.isArray(data.trackLengths) && data.trackLengths.length === rows,
+                `${path}.trackLengths`, `must be a list of ${rows} lengths`)) {
+            data.trackLengths.forEach((length, row) => {
+                check(!length || isIntegerInRange(length, CONFIG.minSteps, CONFIG.maxSteps),
+                    `${path}.trackLengths[${row}]`, `must be empty or ${CONFIG.minSteps}-${CONFIG.maxSteps}`);
+            });
+        }
+        if (data.swing !== undefined) {
+            check(isNumberInRange(data.swing, CONFIG.minSwing, CONFIG.maxSwing),
+                `${path}.swing`, `must be ${CONFIG.minSwing}-${CONFIG.maxSwing}`);
+        }
+        if (data.tempo !== undefined) validateTempoChange(data.tempo, `${path}.tempo`, check);
+    }
+
+    // null, or { bpm, ramp }
+    function validateTempoChange(data, path, check) {
+        if (data === null) return;
+        if (!check(isPlainObject(data), path, 'must be empty or { bpm, ramp }')) return;
+        
+        check(isNumberInRange(data.bpm, CONFIG.minBpm, CONFIG.maxBpm),
+            `${path}.bpm`, `must be ${CONFIG.minBpm}-${CONFIG.maxBpm}`);
+        if (data.ramp !== undefined) {
+            check(typeof data.ramp === 'boolean', `${path}.ramp`, 'must be true or false');
+        }
+    }
+
+    // true/false (old saves), a velocity, or { velocity, nudge, locks, chance, condition, ratchet, ramp }
+    function validateCellData(cell, path, check) {
+        if (typeof cell === 'boolean') return;
+        if (typeof cell === 'number') {
+            check(isIntegerInRange(cell, VELOCITY.off, VELOCITY.max), path, 'velocity must be 0-127');
+            return;
+        }
+        if (!check(isPlainObject(cell), path, 'must be a velocity or { velocity, ... }')) return;
+        
+        check(isIntegerInRange(cell.velocity, VELOCITY.off, VELOCITY.max), `${path}.velocity`, 'must be 0-127');
+        if (cell.nudge !== undefined) {
+            check(isIntegerInRange(cell.nudge, -CONFIG.maxNudgeTicks, CONFIG.maxNudgeTicks),
+                `${path}.nudge`, `must be ${-CONFIG.maxNudgeTicks} to ${CONFIG.maxNudgeTicks}`);
+        }
+        if (cell.locks !== undefined &&
+            check(isPlainObject(cell.locks), `${path}.locks`, 'must be an object')) {
+            Object.keys(cell.locks).forEach(name => {
+                const spec = LOCK_PARAMS[name];
+                if (!check(spec, `${path}.locks.${name}`, 'is not a lockable parameter')) return;
+                check(isNumberInRange(cell.locks[name], spec.min, spec.max),
+                    `${path}.locks.${name}`, `must be ${spec.min} to ${spec.max}`);
+            });
+        }
+        if (cell.chance !== undefined) {
+            check(isIntegerInRange(cell.chance, 1, 100), `${path}.chance`, 'must be 1-100');
+        }
+        if (cell.condition !== undefined) {
+            check(isTrigCondition(cell.condition), `${path}.condition`,
+                `must be fill, !fill, first, !first or A:B (B up to ${CONFIG.maxTrigCycle})`);
+        }
+        if (cell.ratchet !== undefined) {
+            check(isIntegerInRange(cell.ratchet, 1, CONFIG.maxRatchet), `${path}.ratchet`, `must be 1-${CONFIG.maxRatchet}`);
+        }
+        if (cell.ramp !== undefined) {
+            check(RATCHET_RAMPS.includes(cell.ramp), `${path}.ramp`, `must be ${RATCHET_RAMPS.join(' or ')}`);
+        }
+        if (cell.note !== undefined) {
+            check(isIntegerInRange(cell.note, CONFIG.minNote, CONFIG.maxNote),
+                `${path}.note`, `must be a note number ${CONFIG.minNote}-${CONFIG.maxNote}`);
+        }
+        ['tie', 'slide'].forEach(flag => {
+            if (cell[flag] !== undefined) {
+                check(typeof cell[flag] === 'boolean', `${path}.${flag}`, 'must be true or false');
+            }
+        });
+    }
+
+    function validateSongData(data, check) {
+        if (!check(isPlainObject(data) && Array.isArray(data.chain) && data.chain.length > 0,
+            'song', 'must have a chain of at least one entry')) return;
+        
+        data.chain.forEach((entry, index) => {
+            const path = `song.chain[${index}]`;
+            if (!check(isPlainObject(entry), path, 'must be an object')) return;
+            check(isIntegerInRange(entry.pattern, 0, CONFIG.bankSize - 1),
+                `${path}.pattern`, `must be a slot number 0-${CONFIG.bankSize - 1}`);
+            check(isIntegerInRange(entry.repeats, 1, CONFIG.maxSongRepeats),
+                `${path}.repeats`, `must be 1-${CONFIG.maxSongRepeats}`);
+            if (entry.tempo !== undefined) validateTempoChange(entry.tempo, `${path}.tempo`, check);
+        });
+    }
+
+    function validateTrackData(data, check) {
+        if (!check(Array.isArray(data) && data.length >= 1 && data.length <= CONFIG.maxTracks,
+            'tracks', `must be a list of 1-${CONFIG.maxTracks} tracks`)) return;
+        
+        data.forEach((track, row) => {
+            const path = `tracks[${row}]`;
+            if (!check(isPlainObject(track), path, 'must be an object')) return;
+            
+            if (track.sound !== undefined) {
+                check(SOUNDS.includes(track.sound), `${path}.sound`, `must be one of ${SOUNDS.join(', ')}`);
+            }
+            if (track.name !== undefined && track.name !== null) {
+                check(typeof track.name === 'string' && track.name.length <= 32,
+                    `${path}.name`, 'must be text of up to 32 characters');
+            }
+            
+            if (track.params !== undefined &&
+                check(isPlainObject(track.params), `${path}.params`, 'must be an object')) {
+                Object.keys(track.params).forEach(name => {
+                    const param = SOUND_PARAMS[name];
+                    if (!check(param, `${path}.params.${name}`, 'is not a sound parameter')) return;
+                    check(isNumberInRange(track.params[name], param.min, param.max),
+                        `${path}.params.${name}`, `must be ${param.min}-${param.max}`);
+                });
+            }
+            if (track.volume !== undefined) {
+                check(isNumberInRange(track.volume, 0, CONFIG.maxTrackVolume),
+                    `${path}.volume`, `must be 0-${CONFIG.maxTrackVolume}`);
+            }
+            if (track.pan !== undefined) {
+                check(isNumberInRange(track.pan, -1, 1), `${path}.pan`, 'must be -1 to 1');
+            }
+            ['reverbSend', 'delaySend'].forEach(send => {
+                if (track[send] !== undefined) {
+                    check(isNumberInRange(track[send], 0, 1), `${path}.${send}`, 'must be 0-1');
+                }
+            });
+            ['mute', 'solo'].forEach(flag => {
+                if (track[flag] !== undefined) {
+                    check(typeof track[flag] === 'boolean', `${path}.${flag}`, 'must be true or false');
+                }
+            });
+            if (track.sample !== undefined && track.sample !== null &&
+                check(isPlainObject(track.sample), `${path}.sample`, 'must be an object or null')) {
+                check(typeof track.sample.id === 'string' && track.sample.id.length > 0 && track.sample.id.length <= 64,
+                    `${path}.sample.id`, 'must be a sample id');
+                check(typeof track.sample.name === 'string' && track.sample.name.length <= 32,
+                    `${path}.sample.name`, 'must be text of up to 32 characters');
+                check(isNumberInRange(track.sample.start, 0, CONFIG.maxSampleStart),
+                    `${path}.sample.start`, `must be 0-${CONFIG.maxSampleStart}`);
+            }
+            if (track.choke !== undefined) {
+                check(isIntegerInRange(track.choke, 0, CONFIG.chokeGroups),
+                    `${path}.choke`, `must be 0-${CONFIG.chokeGroups}`);
+            }
+            if (track.key !== undefined) {
+                check(isIntegerInRange(track.key, 0, 11), `${path}.key`, 'must be 0-11 (C to B)');
+            }
+            if (track.scale !== undefined) {
+                check(isScale(track.scale), `${path}.scale`, `must be one of ${Object.keys(SCALES).join(', ')}`);
+            }
+        });
+    }
+
+    function validateFxData(data, check) {
+        if (!check(isPlainObject(data), 'fx', 'must be an object')) return;
+        
+        Object.keys(data).forEach(effect => {
+            const path = `fx.${effect}`;
+            if (!check(FX_PARAMS[effect], path, 'is not an effect')) return;
+            if (!check(isPlainObject(data[effect]), path, 'must be an object')) return;
+            
+            Object.keys(data[effect]).forEach(name => {
+                const value = data[effect][name];
+                if (name === 'enabled') {
+                    check(typeof value === 'boolean', `${path}.enabled`, 'must be true or false');
+                    return;
+                }
+                const spec = FX_PARAMS[effect].params[name];
+                if (!check(spec, `${path}.${name}`, 'is not a parameter of this effect')) return;
+                check(isValidFxValue(spec, value), `${path}.${name}`, spec.options ?
+                    `must be one of ${spec.options.map(([option]) => JSON.stringify(option)).join(', ')}` :
+                    `must be ${spec.min}-${spec.max}`);
+            });
+        });
+    }
+
+    function isPlainObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isIntegerInRange(value, min, max) {
+        return Number.isInteger(value) && value >= min && value <= max;
+    }
+
+    function isNumberInRange(value, min, max) {
+        return typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+    }
+
+    // "a: x, b: y and 3 more problems"
+    function formatErrors(errors) {
+        const shown = errors.slice(0, CONFIG.maxReportedErrors).join('; ');
+        const hidden = errors.length - CONFIG.maxReportedErrors;
+        return hidden > 0 ? `${shown} and ${hidden} more problem${hidden === 1 ? '' : 's'}` : shown;
+    }
+
+    function applySavedData(data) {
+        // New slots take their length from the meter
+        setTiming(data.meter, data.resolution);
+        applyBankData(data);
+        
+        const index = parseInt(data.currentPattern);
+        queuedPatternIndex = null;
+        transport.songPosition = null;
+        selectPattern(index >= 0 && index < CONFIG.bankSize ? index : 0);
+        renderSong();
+        
+        if (data.bpm) {
+            setBpm(data.bpm);
+        }
+    }
+
+    // Bank, song and tracks from save data; the caller picks the pattern to show
+    function applyBankData(data) {
+        const savedTracks = Array.isArray(data.tracks) && data.tracks.length ?
+            data.tracks.slice(0, CONFIG.maxTracks) : DEFAULT_TRACKS.map(() => null);
+        tracks = savedTracks.map(deserializeTrack);
+        transport.trackSteps = tracks.map((_, row) => transport.trackSteps[row] || 0);
+        transport.trackLoops = tracks.map((_, row) => transport.trackLoops[row] || 0);
+        editingTrack = Math.min(editingTrack, tracks.length - 1);
+        
+        bank = createBank();
+        
+        if (Array.isArray(data.bank)) {
+            data.bank.forEach((entry, index) => {
+                if (entry) bank[index] = deserializePattern(entry, bank[index].name);
+            });
+            song = normalizeSong(data.song);
+        } else {
+            // Single-pattern saves become slot A
+            bank[0] = deserializePattern(data, bank[0].name);
+            song = createSong();
+        }
+        bank.forEach(fitPatternRows);
+        fx = normalizeFx(data.fx);
+        applyFx();
+        renderFx();
+        
+        // The caller's selectPattern rebuilds the grid and labels
+        scheduledSteps = [];
+        rebuildMixStrips();
+        buildMixer();
+        buildSoundEditor();
+        buildEuclidTracks();
+        buildRollTracks();
+        loadTrackSamples();
+    }
+
+    function normalizeSong(data) {
+        const chain = data && Array.isArray(data.chain) ? data.chain.filter(entry => 
+            entry &&
+            Number.isInteger(entry.pattern) && entry.pattern >= 0 && entry.pattern < CONFIG.bankSize &&
+            Number.isInteger(entry.repeats) && entry.repeats >= 1
+        ) : [];
+        if (chain.length === 0) return createSong();
+        
+        return {
+            chain: chain.map(entry => ({
+                pattern: entry.pattern,
+                repeats: Math.min(CONFIG.maxSongRepeats, entry.repeats),
+                tempo: normalizeTempoChange(entry.tempo)
+            }))
+        };
+    }
+
+    // =========================================
+    // Pattern Library
+    // =========================================
+    /**
+     * Saved entries: { id, name, tags, createdAt, savedAt, data }, where data
+     * is the same shape savePattern used to write on its own.
+     * This is every stored entry, loadable or not. Changes are made to
+     * this list and written back, so an entry this build can't load (an
+     * older or newer format, a damaged save) is never dropped by an
+     * unrelated save or delete.
+     */
+    function readLibrary() {
+        return getLibraryCache().entries;
+    }
+
+    // The entries that can be loaded
+    function getLibrary() {
+        return getLibraryCache().valid;
+    }
+
+    // Parsed and validated once per write, not on every hover
+    function getLibraryCache() {
+        if (libraryCache) return libraryCache;
+        
+        let entries = [];
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.libraryStorageKey));
+            if (Array.isArray(stored)) entries = stored;
+        } catch (e) {
+            console.error('Library load error:', e);
+        }
+        libraryCache = { entries, valid: entries.filter(isValidLibraryEntry) };
+        return libraryCache;
+    }
+
+    function isValidLibraryEntry(entry) {
+        return isListedEntry(entry) &&
+            typeof entry.name === 'string' &&
+            Array.isArray(entry.tags) &&
+            isValidSaveData(entry.data);
+    }
+
+    // Anything with an id is listed (unloadable ones as broken, so they can be deleted)
+    function isListedEntry(entry) {
+        return isPlainObject(entry) && typeof entry.id === 'string';
+    }
+
+    function findLibraryEntry(entries, id) {
+        return entries.find(entry => isListedEntry(entry) && entry.id === id);
+    }
+
+    /**
+     * Returns false (with a toast) if the browser refused the write,
+     * usually because storage is full.
+     */
+    function writeLibrary(entries) {
+        // Callers edit the cached list in place; re-read it whether or not the write lands
+        libraryCache = null;
+        try {
+            localStorage.setItem(CONFIG.libraryStorageKey, JSON.stringify(entries));
+            return true;
+        } catch (e) {
+            if (isQuotaError(e)) {
+                showToast('Storage is full - delete some saved patterns first');
+            } else {
+                showToast('Could not save pattern');
+            }
+            console.error('Library save error:', e);
+            return false;
+        }
+    }
+
+    // Browsers disagree on how to report a full localStorage
+    function isQuotaError(e) {
+        return e instanceof DOMException && (
+            e.name === 'QuotaExceededError' ||
+            e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            e.code === 22 || e.code === 1014
+        );
+    }
+
+    function createLibraryId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    function getNewestEntry(entries) {
+        return entries.reduce((newest, entry) =>
+            !newest || entry.savedAt > newest.savedAt ? entry : newest, null);
+    }
+
+    // "house, WIP, house" -> ['house', 'wip']
+    function parseTags(text) {
+        const tags = text.split(',')
+            .map(tag => tag.trim().toLowerCase())
+            .filter(Boolean);
+        return Array.from(new Set(tags)).slice(0, CONFIG.maxTags);
+    }
+
+    function saveToLibrary(name, tags) {
+        name = name.trim();
+        if (!name) {
+            showToast('Name the pattern first');
+            return;
+        }
+        
+        const now = new Date().toISOString();
+        const entry = { id: createLibraryId(), name, tags, createdAt: now, savedAt: now, data: getSaveData() };
+        const entries = readLibrary();
+        entries.push(entry);
+        
+        if (writeLibrary(entries)) {
+            currentLibraryId = entry.id;
+            renderLibrary();
+            showToast(`Saved "${name}"`);
+        }
+    }
+
+    function loadLibraryEntry(id) {
+        const entry = findLibraryEntry(readLibrary(), id);
+        if (!entry) {
+            showToast('Saved pattern not found');
+            return;
+        }
+        if (!isValidLibraryEntry(entry)) {
+            showToast(`"${getEntryName(entry)}" can't be loaded`);
+            return;
+        }
+        
+        pushHistory('Load pattern');
+        applySavedData(entry.data);
+        currentLibraryId = entry.id;
+        renderLibrary();
+        showToast(`Loaded "${entry.name}"`);
+    }
+
+    function renameLibraryEntry(id, name) {
+        name = name.trim();
+        const entries = readLibrary();
+        const entry = findLibraryEntry(entries, id);
+        if (!entry || !name || name === entry.name) {
+            renderLibrary();
+            return;
+        }
+        
+        entry.name = name;
+        writeLibrary(entries);
+        renderLibrary();
+    }
+
+    function duplicateLibraryEntry(id) {
+        const entries = readLibrary();
+        const entry = findLibraryEntry(entries, id);
+        if (!entry || !isValidLibraryEntry(entry)) return;
+        
+        const now = new Date().toISOString();
+        const copy = Object.assign({}, entry, {
+            id: createLibraryId(),
+            name: `${entry.name} copy`,
+            createdAt: now,
+            savedAt: now
+        });
+        entries.splice(entries.indexOf(entry) + 1, 0, copy);
+        
+        if (writeLibrary(entries)) {
+            renderLibrary();
+            showToast(`Duplicated "${entry.name}"`);
+        }
+    }
+
+    function deleteLibraryEntry(id) {
+        const entries = readLibrary();
+        const entry = findLibraryEntry(entries, id);
+        if (!entry || !window.confirm(`Delete "${getEntryName(entry)}"?`)) return;
+        
+        entries.splice(entries.indexOf(entry), 1);
+        if (writeLibrary(entries)) {
+            if (currentLibraryId === id) currentLibraryId = null;
+            renderLibrary();
+            showToast(`Deleted "${getEntryName(entry)}"`);
+        }
+    }
+
+    // Broken entries may not have a usable name
+    function getEntryName(entry) {
+        return typeof entry.name === 'string' && entry.name ? entry.name : 'Untitled';
+    }
+
+    /**
+     * The old single save becomes a library entry. Its key is only removed
+     * once the entry is written, so a save that can't be imported stays
+     * put (and is reported on every start) rather than being lost.
+     */
+    function migrateLegacySave() {
+        const stored = localStorage.getItem(CONFIG.storageKey);
+        if (stored === null) return;
+        
+        try {
+            const legacy = JSON.parse(stored);
+            const errors = validateSaveData(legacy);
+            if (errors.length) {
+                showToast('Could not import your old save');
+                console.error('Library migration error:', formatErrors(errors));
+                return;
+            }
+            
+            const savedAt = legacy.savedAt || new Date().toISOString();
+            const first = Array.isArray(legacy.bank)
+                ? legacy.bank[legacy.currentPattern] || legacy.bank.find(Boolean)
+                : legacy;
+            const entry = {
+                id: createLibraryId(),
+                name: (first && first.name) || 'Saved pattern',
+                tags: [],
+                createdAt: savedAt,
+                savedAt,
+                data: legacy
+            };
+            
+            if (writeLibrary(readLibrary().concat(entry))) {
+                localStorage.removeItem(CONFIG.storageKey);
+            }
+        } catch (e) {
+            showToast('Could not import your old save');
+            console.error('Library migration error:', e);
+        }
+    }
+
+    // The pattern a saved entry had on screen, for previews
+    function getEntryPattern(data) {
+        if (!Array.isArray(data.bank)) return deserializePattern(data, '');
+        const stored = data.bank[data.currentPattern] || data.bank.find(Boolean);
+        return stored ? deserializePattern(stored, '') : createPattern('');
+    }
+
+    // =========================================
+    // Sharing & JSON Files
+    // =========================================
+    // Save data tagged for leaving the browser (files and share links)
+    function getDocument() {
+        return Object.assign({ format: CONFIG.fileFormat }, getSaveData());
+    }
+
+    /**
+     * Stricter check for data from outside: the format tag and a schema
+     * version are required on top of the save schema.
+     */
+    function validateDocument(data) {
+        if (!isPlainObject(data)) return ['file: must be a JSON object'];
+        if (data.format !== CONFIG.fileFormat) return ['format: not a Kova Beat Sequencer file'];
+        if (data.version === undefined) return ['version: is missing'];
+        return validateSaveData(data);
+    }
+
+    function applyDocument(data, label) {
+        pushHistory(label);
+        applySavedData(data);
+        // Nothing in the library holds this yet
+        currentLibraryId = null;
+        renderLibrary();
+    }
+
+    function exportJson() {
+        try {
+            const json = JSON.stringify(getDocument(), null, 2);
+            downloadFile(json, `${toFileName(pattern.name)}.json`, 'application/json');
+            showToast('Exported JSON');
+        } catch (e) {
+            showToast('Could not export JSON');
+            console.error('JSON export error:', e);
+        }
+    }
+
+    async function importJson(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            elements.jsonReport.textContent = `Not valid JSON: ${e.message}`;
+            showToast('Could not import JSON');
+            return;
+        }
+        
+        const errors = validateDocument(data);
+        if (errors.length) {
+            elements.jsonReport.textContent = formatErrors(errors);
+            showToast('Invalid pattern file');
+            return;
+        }
+        
+        elements.jsonReport.textContent = '';
+        applyDocument(data, 'Import JSON');
+        showToast('Imported JSON');
+    }
+
+    /**
+     * Share links carry the whole document in the fragment, deflated where
+     * the browser can (#z=) and plain otherwise (#j=), as base64url.
+     */
+    async function encodeShareFragment(data) {
+        const bytes = new TextEncoder().encode(JSON.stringify(data));
+        if (window.CompressionStream) {
+            return `#z=${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+        }
+        return `#j=${toBase64Url(bytes)}`;
+    }
+
+    async function decodeShareFragment(hash) {
+        const match = /^#([zj])=([A-Za-z0-9_-]+)$/.exec(hash);
+        if (!match) throw new Error('Malformed share link');
+        
+        let bytes = fromBase64Url(match[2]);
+        if (match[1] === 'z') {
+            if (!window.DecompressionStream) throw new Error('This browser can\'t open compressed links');
+            bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+        }
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    async function pipeBytes(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    }
+
+    async function copyShareLink() {
+        let url;
+        try {
+            url = location.href.split('#')[0] + await encodeShareFragment(getDocument());
+        } catch (e) {
+            showToast('Could not create share link');
+            console.error('Share error:', e);
+            return;
+        }
+        
+        try {
+            await navigator.clipboard.writeText(url);
+            showToast('Share link copied');
+        } catch (e) {
+            // No clipboard access (permissions, plain http): let the user copy it
+            window.prompt('Copy this link', url);
+        }
+    }
+
+    /**
+     * Open the pattern in the URL fragment, if any. The fragment is then
+     * dropped so a reload doesn't throw away edits made since.
+     */
+    async function loadShareLink() {
+        const hash = location.hash;
+        if (!/^#[zj]=/.test(hash)) return;
+        
+        window.history.replaceState(null, '', location.pathname + location.search);
+        
+        try {
+            const data = await decodeShareFragment(hash);
+            const errors = validateDocument(data);
+            if (errors.length) {
+                showToast(`Share link is invalid: ${errors[0]}`);
+                console.error('Share link errors:', errors);
+                return;
+            }
+            applyDocument(data, 'Open share link');
+            showToast('Loaded shared pattern');
+        } catch (e) {
+            showToast('Could not open share link');
+            console.error('Share link error:', e);
+        }
+    }
+
+    // =========================================
+    // Undo History
+    // =========================================
+    /**
+     * Call before any edit: stores the state as it was so the edit can be
+     * undone. Edits with the same coalesceKey in quick succession (a drag,
+     * a slider sweep, typing a name) become a single undo step.
+     */
+    function pushHistory(label, coalesceKey) {
+        const now = performance.now();
+        const coalesce = coalesceKey && coalesceKey === undoHistory.lastKey &&
+            now - undoHistory.lastEdit < CONFIG.historyCoalesceMs;
+        
+        undoHistory.lastKey = coalesceKey || null;
+        undoHistory.lastEdit = now;
+        if (coalesce) return;
+        
+        undoHistory.undo.push({ label, state: captureState() });
+        undoHistory.redo = [];
+        trimHistory();
+        renderHistoryButtons();
+    }
+
+    // Snapshots are stored as JSON strings: compact and immune to later edits
+    function captureState() {
+        return JSON.stringify(getSaveData());
+    }
+
+    function restoreState(state) {
+        const data = JSON.parse(state);
+        setTiming(data.meter, data.resolution);
+        applyBankData(data);
+        // Stay on the slot being viewed; the transport keeps its place
+        selectPattern(currentPatternIndex);
+        renderSong();
+        setBpm(data.bpm);
+    }
+
+    // Drop the oldest steps once over the count or size limit
+    function trimHistory() {
+        const size = () => undoHistory.undo.concat(undoHistory.redo)
+            .reduce((total, entry) => total + entry.state.length, 0);
+        
+        while (undoHistory.undo.length > CONFIG.historyLimit ||
+               (undoHistory.undo.length > 1 && size() > CONFIG.historyMaxChars)) {
+            undoHistory.undo.shift();
+        }
+    }
+
+    function undo() {
+        const entry = undoHistory.undo.pop();
+        if (!entry) {
+            showToast('Nothing to undo');
+            return;
+        }
+        
+        undoHistory.redo.push({ label: entry.label, state: captureState() });
+        restoreState(entry.state);
+        // The next edit must not merge into a step that was just undone
+        undoHistory.lastKey = null;
+        renderHistoryButtons();
+        showToast(`Undo: ${entry.label}`);
+    }
+
+    function redo() {
+        const entry = undoHistory.redo.pop();
+        if (!entry) {
+            showToast('Nothing to redo');
+            return;
+        }
+        
+        undoHistory.undo.push({ label: entry.label, state: captureState() });
+        restoreState(entry.state);
+        undoHistory.lastKey = null;
+        renderHistoryButtons();
+        showToast(`Redo: ${entry.label}`);
+    }
+
+    function renderHistoryButtons() {
+        const lastUndo = undoHistory.undo[undoHistory.undo.length - 1];
+        const lastRedo = undoHistory.redo[undoHistory.redo.length - 1];
+        
+        elements.undoBtn.disabled = !lastUndo;
+        elements.undoBtn.title = lastUndo ? `Undo ${lastUndo.label}` : 'Nothing to undo';
+        elements.redoBtn.disabled = !lastRedo;
+        elements.redoBtn.title = lastRedo ? `Redo ${lastRedo.label}` : 'Nothing to redo';
+    }
+
+    // =========================================
+    // Audio Export
+    // =========================================
+    /**
+     * Render the current pattern (or one pass of the song) offline.
+     * Uses the same transport, voices and mix graph as live playback, and the
+     * noise is seeded, so the same pattern always renders the same samples.
+     * options: { bars, wholeSong, tail, stemRow } - stemRow renders one track only
+     */
+    function renderAudio(options) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        
+        // Dry pass to size the buffer. One spare step covers swing and
+        // late nudges on the last hits.
+        const end = walkArrangement(options, () => {});
+        const duration = end.nextStepTime + getTransportStepDuration(end) + options.tail;
+        const ctx = new OfflineContext(2, Math.ceil(duration * CONFIG.exportSampleRate), CONFIG.exportSampleRate);
+        
+        const graph = createMixGraph(ctx);
+        graph.output.connect(ctx.destination);
+        
+        const shouldPlay = options.stemRow === undefined
+            ? isTrackAudible
+            : row => row === options.stemRow;
+        
+        walkArrangement(options, t => scheduleStep(t, graph, shouldPlay));
+        
+        return ctx.startRendering();
+    }
+
+    /**
+     * Step a fresh transport through N bars of the current pattern, or one
+     * pass of the song chain. onStep(t, index) runs for every step before
+     * the playheads move on. Returns the transport, left just past the
+     * last step (its nextStepTime is the time walked).
+     * options: { bars, wholeSong }
+     */
+    function walkArrangement(options, onStep) {
+        const t = createTransport(currentPatternIndex);
+        let bars = options.bars;
+        let index = 0;
+        
+        if (options.wholeSong) {
+            startPattern(t, advanceSong(t), true);
+            bars = getSongBars();
+        } else {
+            startPattern(t, currentPatternIndex);
+        }
+        
+        for (let bar = 0; bar < bars;) {
+            onStep(t, index++);
+            advancePlayheads(t);
+            
+            if (t.step === 0) {
+                bar++;
+                if (options.wholeSong) {
+                    startPattern(t, advanceSong(t), true);
+                }
+            }
+        }
+        
+        return t;
+    }
+
+    /**
+     * Encode an AudioBuffer as an interleaved PCM WAV file (16 or 24 bit).
+     */
+    function encodeWav(buffer, bitDepth) {
+        const channels = buffer.numberOfChannels;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = channels * bytesPerSample;
+        const dataSize = buffer.length * blockAlign;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+        
+        writeAscii(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeAscii(view, 8, 'WAVE');
+        writeAscii(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);              // fmt chunk size
+        view.setUint16(20, 1, true);               // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+        writeAscii(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
         
-        if (schedulerTimerId) {
-            clearTimeout(schedulerTimerId);
-            schedulerTimerId = null;
+        const channelData = [];
+        for (let c = 0; c < channels; c++) {
+            channelData.push(buffer.getChannelData(c));
         }
         
-        // Clear step highlight
-        clearStepHighlight();
-        currentStep = 0;
+        const scale = Math.pow(2, bitDepth - 1) - 1;
+        let offset = 44;
+        for (let i = 0; i < buffer.length; i++) {
+            for (let c = 0; c < channels; c++) {
+                const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+                const value = Math.round(sample * scale);
+                
+                if (bitDepth === 16) {
+                    view.setInt16(offset, value, true);
+                } else {
+                    // 24-bit little endian, two's complement
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                }
+                offset += bytesPerSample;
+            }
+        }
+        
+        return view.buffer;
     }
 
-    function togglePlayback() {
-        if (isPlaying) {
-            stopSequencer();
+    function writeAscii(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+
+    function downloadFile(data, filename, type) {
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser a moment to start the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Pattern names are free text; keep file names portable
+    function toFileName(name) {
+        return name.trim().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'beat';
+    }
+
+    // Bars / whole song, shared by the WAV and MIDI exports
+    function getExportRange() {
+        return {
+            bars: Math.max(1, Math.min(CONFIG.maxExportBars, parseInt(elements.exportBars.value, 10) || 1)),
+            wholeSong: elements.exportSong.checked
+        };
+    }
+
+    /**
+     * Export the mix, or one stem per audible track, as WAV downloads.
+     */
+    async function exportWav() {
+        const { bars, wholeSong } = getExportRange();
+        const tail = Math.max(0, Math.min(CONFIG.maxExportTail, parseFloat(elements.exportTail.value) || 0));
+        const bitDepth = parseInt(elements.exportDepth.value, 10) === 24 ? 24 : 16;
+        const baseName = toFileName(wholeSong ? 'song' : pattern.name);
+        
+        const renders = [];
+        if (elements.exportStems.checked) {
+            tracks.forEach((_, row) => {
+                if (isTrackAudible(row)) {
+                    renders.push({ stemRow: row, filename: `${baseName}-${row + 1}-${toFileName(getTrackName(row))}.wav` });
+                }
+            });
         } else {
-            startSequencer();
+            renders.push({ filename: `${baseName}.wav` });
+        }
+        
+        if (renders.length === 0) {
+            showToast('No audible tracks to export');
+            return;
+        }
+        
+        elements.exportBtn.disabled = true;
+        showToast('Rendering...');
+        
+        try {
+            for (const render of renders) {
+                const buffer = await renderAudio({ bars, wholeSong, tail, stemRow: render.stemRow });
+                downloadFile(encodeWav(buffer, bitDepth), render.filename, 'audio/wav');
+            }
+            showToast(renders.length > 1 ? `Exported ${renders.length} stems` : 'Exported WAV');
+        } catch (e) {
+            showToast('Could not export audio');
+            console.error('Export error:', e);
+        } finally {
+            elements.exportBtn.disabled = false;
         }
     }
 
+    // =========================================
+    // MIDI Files
+    // =========================================
     /**
-     * The look-ahead scheduler.
-     * 
-     * This runs frequently (every ~25ms) but schedules audio events
-     * using audioCtx.currentTime, which is rock-solid.
-     * 
-     * The key insight: setTimeout is ONLY used to wake up the scheduler.
-     * Actual timing comes from Web Audio's clock.
+     * Build a Standard MIDI File of N bars or one pass of the song.
+     * Format 1 writes a tempo track plus one track per drum; format 0 puts
+     * everything in a single track. Swing and nudges shift the note-on ticks.
+     * Note tracks play their own notes on CONFIG.midiSynthChannel. Tempo
+     * changes become tempo events, a ramp one per step. The file carries
+     * the project's time signature.
      */
-    function scheduler() {
-        if (!isPlaying) return;
+    function buildMidiFile(range, format) {
+        const ticksPerStep = CONFIG.midiPpq * getStepQuarters();
+        const noteTicks = Math.round(ticksPerStep * CONFIG.midiNoteSteps);
+        const channel = CONFIG.midiDrumChannel;
+        const rowEvents = tracks.map(() => []);
+        const heldNotes = new Map();
+        const tempoEvents = [];
         
-        // Schedule all steps that fall within our look-ahead window
-        while (nextStepTime < audioCtx.currentTime + CONFIG.scheduleAheadTime) {
-            // Schedule this step's sounds
-            scheduleStep(currentStep, nextStepTime);
+        walkArrangement(range, (t, index) => {
+            const target = bank[t.patternIndex];
+            const stepDuration = getTransportStepDuration(t);
+            const stepTick = index * ticksPerStep +
+                getSwingOffset(t.step, target, stepDuration) / stepDuration * ticksPerStep;
+            addMidiTempo(tempoEvents, index * ticksPerStep, stepDuration);
+            const hits = getStepHits(t, target);
+            const duration = getSwungStepDuration(t, target);
             
-            // Schedule UI update (approximate, visual only)
-            scheduleStepUI(currentStep, nextStepTime);
+            for (let row = 0; row < tracks.length; row++) {
+                if (!isTrackAudible(row) || !hits[row]) continue;
+                
+                const cell = target.grid[row][t.trackSteps[row]];
+                const note = MIDI_DRUM_NOTES[tracks[row].sound];
+                const tick = Math.max(0, Math.round(stepTick + (cell.nudge || 0) * ticksPerStep / CONFIG.nudgeTicksPerStep));
+                // Ratchet repeats are cut short so they don't overlap
+                const length = cell.ratchet
+                    ? Math.min(noteTicks, Math.round(duration / cell.ratchet / stepDuration * ticksPerStep))
+                    : noteTicks;
+                const gap = cell.ratchet ? duration / cell.ratchet : duration;
+                getRatchetHits(cell, duration).forEach((hit, index, all) => {
+                    const hitTick = tick + Math.round(hit.offset / stepDuration * ticksPerStep);
+                    if (isSynthTrack(row)) {
+                        const synthNote = getSynthNote(target, row, t.trackSteps[row], cell, gap, index === all.length - 1);
+                        addMidiSynthNote(rowEvents[row], heldNotes, row, hitTick, hit.velocity, synthNote, stepDuration);
+                        return;
+                    }
+                    rowEvents[row].push(
+                        { tick: hitTick, data: [0x90 | channel, note, hit.velocity] },
+                        { tick: hitTick + length, data: [0x80 | channel, note, 0] }
+                    );
+                });
+            }
+        });
+        
+        const conductor = [
+            { tick: 0, data: metaEvent(0x03, asciiBytes(pattern.name)) },
+            { tick: 0, data: metaEvent(0x58, getMidiTimeSignature()) }
+        ].concat(tempoEvents);
+        
+        let chunks;
+        if (format === 0) {
+            chunks = [encodeMidiTrack(conductor.concat(...rowEvents))];
+        } else {
+            chunks = [encodeMidiTrack(conductor)].concat(rowEvents.map((events, row) =>
+                encodeMidiTrack([{ tick: 0, data: metaEvent(0x03, asciiBytes(getTrackName(row))) }].concat(events))
+            ));
+        }
+        
+        const header = [
+            ...asciiBytes('MThd'), 0, 0, 0, 6,
+            0, format,
+            (chunks.length >> 8) & 0xFF, chunks.length & 0xFF,
+            (CONFIG.midiPpq >> 8) & 0xFF, CONFIG.midiPpq & 0xFF
+        ];
+        
+        return new Uint8Array(header.concat(...chunks));
+    }
+
+    // Numerator, log2 denominator, clocks per felt beat, 32nds per quarter
+    function getMidiTimeSignature() {
+        const { beats, unit, groups } = METERS[meter];
+        const clocks = CONFIG.midiClocksPerQuarter * groups[0] * 4 / unit;
+        return [beats, Math.log2(unit), clocks, 8];
+    }
+
+    // A tempo event wherever the step length changes (microseconds per quarter note)
+    function addMidiTempo(events, tick, stepDuration) {
+        const tempo = Math.round(stepDuration / getStepQuarters() * 1000000);
+        const last = events[events.length - 1];
+        if (last && last.tempo === tempo) return;
+        
+        events.push({ tick, tempo, data: metaEvent(0x51, [(tempo >> 16) & 0xFF, (tempo >> 8) & 0xFF, tempo & 0xFF]) });
+    }
+
+    /**
+     * A note track's hit, following sendMidiSynthNote: a held note's
+     * note-off (in held by row) is moved by the next hit, to carry the
+     * same pitch on or to end one tick into a new pitch (legato). One
+     * that is never picked up ends a step late, as it does in playback.
+     * stepDuration is the length of the step the note starts on.
+     */
+    function addMidiSynthNote(events, held, row, tick, velocity, note, stepDuration) {
+        const ticksPerStep = CONFIG.midiPpq * getStepQuarters();
+        const channel = CONFIG.midiSynthChannel;
+        const length = note.duration / stepDuration * ticksPerStep;
+        const last = held.get(row);
+        held.delete(row);
+        
+        let off = last;
+        if (!last || last.data[1] !== note.pitch) {
+            if (last) last.tick = tick + 1;
+            off = { tick: 0, data: [0x80 | channel, note.pitch, 0] };
+            events.push({ tick, data: [0x90 | channel, note.pitch, velocity] }, off);
+        }
+        if (note.hold) {
+            off.tick = tick + Math.round(length + ticksPerStep);
+            held.set(row, off);
+        } else {
+            off.tick = tick + Math.max(1, Math.round(length * CONFIG.synthGate));
+        }
+    }
+
+    /**
+     * MTrk chunk from absolute-tick events. Note-offs sort ahead of
+     * note-ons on the same tick so back-to-back hits retrigger cleanly.
+     */
+    function encodeMidiTrack(events) {
+        const sorted = events.slice().sort((a, b) =>
+            a.tick - b.tick || isNoteOff(b.data) - isNoteOff(a.data)
+        );
+        
+        const bytes = [];
+        let lastTick = 0;
+        sorted.forEach(event => {
+            bytes.push(...encodeVarLength(event.tick - lastTick), ...event.data);
+            lastTick = event.tick;
+        });
+        bytes.push(0, ...metaEvent(0x2F, []));  // End of track
+        
+        const length = bytes.length;
+        return [
+            ...asciiBytes('MTrk'),
+            (length >>> 24) & 0xFF, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF
+        ].concat(bytes);
+    }
+
+    function isNoteOff(data) {
+        return (data[0] & 0xF0) === 0x80 ? 1 : 0;
+    }
+
+    function metaEvent(type, data) {
+        return [0xFF, type, ...encodeVarLength(data.length), ...data];
+    }
+
+    function encodeVarLength(value) {
+        const bytes = [value & 0x7F];
+        while ((value >>= 7) > 0) {
+            bytes.unshift((value & 0x7F) | 0x80);
+        }
+        return bytes;
+    }
+
+    function asciiBytes(text) {
+        // Meta text is plain ASCII here; anything else becomes '?'
+        return Array.from(text, ch => ch.charCodeAt(0) < 0x80 ? ch.charCodeAt(0) : 0x3F);
+    }
+
+    /**
+     * Parse a Standard MIDI File (format 0 or 1).
+     * Returns { division, tempo, notes: [{ tick, note, velocity, channel }] }
+     * with note-ons from every track and channel (zero-based). Throws on malformed files.
+     */
+    function parseMidiFile(buffer) {
+        const view = new DataView(buffer);
+        let pos = 0;
+        
+        function readChunkHeader() {
+            if (pos + 8 > view.byteLength) throw new Error('Unexpected end of file');
+            const id = String.fromCharCode(view.getUint8(pos), view.getUint8(pos + 1),
+                view.getUint8(pos + 2), view.getUint8(pos + 3));
+            const length = view.getUint32(pos + 4);
+            pos += 8;
+            return { id, length };
+        }
+        
+        const header = readChunkHeader();
+        if (header.id !== 'MThd' || header.length < 6) throw new Error('Not a MIDI file');
+        
+        const format = view.getUint16(pos);
+        const trackCount = view.getUint16(pos + 2);
+        const division = view.getUint16(pos + 4);
+        pos += header.length;
+        
+        if (format > 1) throw new Error(`MIDI format ${format} is not supported`);
+        if (division & 0x8000) throw new Error('SMPTE timing is not supported');
+        
+        const notes = [];
+        let tempo = null;
+        
+        for (let i = 0; i < trackCount && pos < view.byteLength; i++) {
+            const chunk = readChunkHeader();
+            const end = Math.min(pos + chunk.length, view.byteLength);
+            if (chunk.id !== 'MTrk') {
+                pos = end;
+                continue;
+            }
             
-            // Advance to next step
-            nextStepTime += getStepDuration();
-            currentStep = (currentStep + 1) % CONFIG.steps;
+            let tick = 0;
+            let status = 0;
+            
+            const readVarLength = () => {
+                let value = 0;
+                let byte;
+                do {
+                    if (pos >= end) throw new Error('Unexpected end of track');
+                    byte = view.getUint8(pos++);
+                    value = (value << 7) | (byte & 0x7F);
+                } while (byte & 0x80);
+                return value;
+            };
+            
+            while (pos < end) {
+                tick += readVarLength();
+                
+                // Running status: data byte reuses the previous status
+                if (view.getUint8(pos) & 0x80) {
+                    status = view.getUint8(pos++);
+                } else if (!status) {
+                    throw new Error('Missing status byte');
+                }
+                
+                if (status === 0xFF) {
+                    const type = view.getUint8(pos++);
+                    const length = readVarLength();
+                    if (type === 0x51 && tempo === null && length === 3) {
+                        tempo = (view.getUint8(pos) << 16) | (view.getUint8(pos + 1) << 8) | view.getUint8(pos + 2);
+                    }
+                    pos += length;
+                    status = 0;
+                } else if (status === 0xF0 || status === 0xF7) {
+                    pos += readVarLength();
+                    status = 0;
+                } else {
+                    const kind = status & 0xF0;
+                    const data1 = view.getUint8(pos++);
+                    const data2 = (kind === 0xC0 || kind === 0xD0) ? 0 : view.getUint8(pos++);
+                    // Note-on with velocity 0 is a note-off
+                    if (kind === 0x90 && data2 > 0) {
+                        notes.push({ tick, note: data1, velocity: data2, channel: status & 0x0F });
+                    }
+                }
+            }
+            pos = end;
         }
         
-        // Wake up again soon to check if more scheduling is needed
-        schedulerTimerId = setTimeout(scheduler, CONFIG.lookaheadInterval);
+        return { division, tempo, notes };
     }
-    
+
     /**
-     * Schedule audio for a specific step at a specific time
+     * Parse a note map like "kick:35,36; snare:38,40" into note -> row.
+     * Rows can be named by sound (the first track using it) or by number
+     * (1-based). A sound no track uses is skipped.
+     * Returns null if any entry is malformed.
      */
-    function scheduleStep(step, time) {
-        for (let row = 0; row < CONFIG.rows; row++) {
-            if (pattern[row][step]) {
-                playSoundAtTime(SOUNDS[row], time);
+    function parseMidiMap(text) {
+        const map = new Map();
+        const entries = text.split(';').map(entry => entry.trim()).filter(Boolean);
+        
+        for (const entry of entries) {
+            const [name, list] = entry.split(':');
+            if (list === undefined) return null;
+            
+            const key = name.trim().toLowerCase();
+            const numbered = /^\d+$/.test(key);
+            if (!numbered && !SOUNDS.includes(key)) return null;
+            
+            const row = numbered
+                ? parseInt(key, 10) - 1
+                : tracks.findIndex(track => track.sound === key);
+            if (numbered && (row < 0 || row >= CONFIG.maxTracks)) return null;
+            
+            for (const item of list.split(',')) {
+                const note = parseInt(item, 10);
+                if (!(note >= 0 && note <= 127)) return null;
+                if (row >= 0) map.set(note, row);
             }
         }
+        
+        return map;
     }
-    
+
     /**
-     * Schedule UI highlight update.
-     * Uses setTimeout for visual sync (doesn't need to be sample-accurate)
+     * Quantize MIDI notes onto the current pattern's grid. The distance from
+     * the nearest step is kept as a micro-timing nudge. Notes on
+     * CONFIG.midiSynthChannel go to the first note track, as export writes
+     * them; a note track keeps each note's pitch. Returns the notes that
+     * could not be placed, each with a reason.
      */
-    function scheduleStepUI(step, time) {
-        const delay = Math.max(0, (time - audioCtx.currentTime) * 1000);
-        setTimeout(() => {
-            if (isPlaying) {
-                updateStepHighlight(step);
+    function placeMidiNotes(midi, noteMap) {
+        const ticksPerStep = midi.division * getStepQuarters();
+        const grid = createEmptyGrid();
+        const synthRow = tracks.findIndex((_, row) => isSynthTrack(row));
+        const unplaced = [];
+        let lastStep = -1;
+        
+        midi.notes.forEach(event => {
+            const row = event.channel === CONFIG.midiSynthChannel && synthRow >= 0
+                ? synthRow
+                : noteMap.get(event.note);
+            if (row === undefined || row >= tracks.length) {
+                unplaced.push({ note: event.note, reason: 'no row mapped' });
+                return;
             }
-        }, delay);
+            if (isSynthTrack(row) && (event.note < CONFIG.minNote || event.note > CONFIG.maxNote)) {
+                unplaced.push({ note: event.note, reason: 'out of the note range' });
+                return;
+            }
+            
+            const position = event.tick / ticksPerStep;
+            const step = Math.round(position);
+            if (step >= CONFIG.maxSteps) {
+                unplaced.push({ note: event.note, reason: `past step ${CONFIG.maxSteps}` });
+                return;
+            }
+            
+            if (isCellActive(grid[row][step])) {
+                unplaced.push({ note: event.note, reason: 'same step as another note' });
+                grid[row][step].velocity = Math.max(grid[row][step].velocity, event.velocity);
+                return;
+            }
+            
+            const cell = createCell(event.velocity);
+            const nudge = clampNudge(Math.round((position - step) * CONFIG.nudgeTicksPerStep));
+            if (nudge) cell.nudge = nudge;
+            if (isSynthTrack(row)) cell.note = event.note;
+            grid[row][step] = cell;
+            lastStep = Math.max(lastStep, step);
+        });
+        
+        if (lastStep < 0) return { placed: false, unplaced };
+        
+        pushHistory('Import MIDI');
+        // Round the length up to whole bars of the project's meter
+        const barSteps = getBarSteps();
+        pattern.grid = grid;
+        pattern.length = clampLength(Math.ceil(Math.ceil((lastStep + 1) / barSteps) * barSteps - 1e-9));
+        pattern.trackLengths = Array(tracks.length).fill(null);
+        pattern.swing = CONFIG.defaultSwing;
+        
+        return { placed: true, unplaced };
     }
 
-    function setBpm(newBpm) {
-        bpm = Math.max(CONFIG.minBpm, Math.min(CONFIG.maxBpm, newBpm));
-        elements.bpmValue.textContent = bpm;
-        // BPM changes take effect immediately via getStepDuration()
+    // e.g. "3 notes not placed: note 49 (no row mapped) ×2, note 36 (past step 64)"
+    function formatUnplaced(unplaced) {
+        const counts = new Map();
+        unplaced.forEach(item => {
+            const label = `note ${item.note} (${item.reason})`;
+            counts.set(label, (counts.get(label) || 0) + 1);
+        });
+        
+        const parts = Array.from(counts, ([label, count]) => count > 1 ? `${label} ×${count}` : label);
+        return `${unplaced.length} note${unplaced.length === 1 ? '' : 's'} not placed: ${parts.join(', ')}`;
+    }
+
+    function exportMidi() {
+        try {
+            const format = parseInt(elements.midiFormat.value, 10) === 0 ? 0 : 1;
+            const range = getExportRange();
+            const baseName = toFileName(range.wholeSong ? 'song' : pattern.name);
+            downloadFile(buildMidiFile(range, format), `${baseName}.mid`, 'audio/midi');
+            showToast('Exported MIDI');
+        } catch (e) {
+            showToast('Could not export MIDI');
+            console.error('MIDI export error:', e);
+        }
+    }
+
+    /**
+     * Import a .mid clip (drums, plus a bassline for the first note track)
+     * into the current pattern slot.
+     */
+    async function importMidi(file) {
+        const noteMap = parseMidiMap(elements.midiMap.value);
+        if (!noteMap) {
+            showToast('Invalid note map');
+            return;
+        }
+        
+        try {
+            const midi = parseMidiFile(await file.arrayBuffer());
+            const result = placeMidiNotes(midi, noteMap);
+            
+            elements.midiReport.textContent = result.unplaced.length
+                ? formatUnplaced(result.unplaced)
+                : '';
+            
+            if (!result.placed) {
+                showToast('No notes could be placed');
+                return;
+            }
+            
+            if (midi.tempo) {
+                setBpm(60000000 / midi.tempo);
+            }
+            pattern.name = file.name.replace(/\.midi?$/i, '').slice(0, 32);
+            showPattern();
+            renderSong();
+            showToast(result.unplaced.length
+                ? `Imported with ${result.unplaced.length} notes not placed`
+                : 'Imported MIDI');
+        } catch (e) {
+            showToast('Could not import MIDI');
+            console.error('MIDI import error:', e);
+        }
     }
 
     // =========================================
-    // UI Rendering
+    // Web MIDI
     // =========================================
-    function buildGrid() {
-        elements.grid.innerHTML = '';
+    const MIDI_CLOCK_MODES = ['off', 'send', 'follow'];
+
+    /**
+     * Stored port, channel, clock and note map settings. Port ids are kept
+     * while a device is unplugged so it reconnects when it comes back.
+     */
+    function loadMidiSettings() {
+        const settings = {
+            enabled: false,
+            input: '',
+            output: '',
+            channel: CONFIG.midiDrumChannel + 1,
+            clock: 'off',
+            noteMap: DEFAULT_MIDI_MAP
+        };
         
-        for (let row = 0; row < CONFIG.rows; row++) {
-            for (let step = 0; step < CONFIG.steps; step++) {
-                const cell = document.createElement('div');
-                cell.className = 'cell';
-                cell.dataset.row = row;
-                cell.dataset.step = step;
-                cell.setAttribute('role', 'gridcell');
-                cell.setAttribute('aria-label', `${SOUNDS[row]} step ${step + 1}`);
-                cell.setAttribute('tabindex', '0');
-                
-                elements.grid.appendChild(cell);
-            }
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.midiStorageKey)) || {};
+            if (typeof stored.enabled === 'boolean') settings.enabled = stored.enabled;
+            if (typeof stored.input === 'string') settings.input = stored.input;
+            if (typeof stored.output === 'string') settings.output = stored.output;
+            if (stored.channel >= 1 && stored.channel <= 16) settings.channel = Math.round(stored.channel);
+            if (MIDI_CLOCK_MODES.includes(stored.clock)) settings.clock = stored.clock;
+            if (typeof stored.noteMap === 'string' && parseMidiMap(stored.noteMap)) settings.noteMap = stored.noteMap;
+        } catch (e) {
+            console.error('MIDI settings load error:', e);
         }
+        
+        return settings;
     }
 
-    function buildStepIndicators() {
-        elements.stepIndicators.innerHTML = '';
+    function saveMidiSettings() {
+        try {
+            localStorage.setItem(CONFIG.midiStorageKey, JSON.stringify(midiSettings));
+        } catch (e) {
+            console.error('MIDI settings save error:', e);
+        }
+    }
+
+    async function connectMidi() {
+        if (!navigator.requestMIDIAccess) {
+            showToast('Web MIDI is not supported in this browser');
+            return;
+        }
         
-        for (let i = 0; i < CONFIG.steps; i++) {
-            const indicator = document.createElement('span');
-            indicator.className = 'step-indicator';
-            indicator.textContent = i + 1;
-            indicator.dataset.step = i;
-            elements.stepIndicators.appendChild(indicator);
+        try {
+            midiAccess = await navigator.requestMIDIAccess();
+            // Devices plugged in or out
+            midiAccess.onstatechange = () => {
+                renderMidiPorts();
+                bindMidiInput();
+            };
+            // Reconnecting on page load stays quiet
+            if (!midiSettings.enabled) showToast('MIDI connected');
+            midiSettings.enabled = true;
+            saveMidiSettings();
+            renderMidiPorts();
+            bindMidiInput();
+        } catch (e) {
+            showToast('Could not access MIDI devices');
+            console.error('MIDI access error:', e);
         }
     }
 
-    function updateGridDisplay() {
-        const cells = elements.grid.querySelectorAll('.cell');
-        cells.forEach(cell => {
-            const row = parseInt(cell.dataset.row);
-            const step = parseInt(cell.dataset.step);
-            cell.classList.toggle('active', pattern[row][step]);
-            cell.setAttribute('aria-pressed', pattern[row][step]);
+    // Listen to the selected input only
+    function bindMidiInput() {
+        if (!midiAccess) return;
+        
+        midiAccess.inputs.forEach(input => {
+            input.onmidimessage = input.id === midiSettings.input ? handleMidiMessage : null;
         });
+        midiClockTimes = [];
     }
 
-    function updateCellDisplay(row, step) {
-        const cell = elements.grid.querySelector(
-            `.cell[data-row="${row}"][data-step="${step}"]`
-        );
-        if (cell) {
-            cell.classList.toggle('active', pattern[row][step]);
-            cell.setAttribute('aria-pressed', pattern[row][step]);
+    function getMidiOutput() {
+        if (!midiAccess || !midiSettings.output) return null;
+        return midiAccess.outputs.get(midiSettings.output) || null;
+    }
+
+    function getMidiNoteMap() {
+        return parseMidiMap(midiSettings.noteMap) || parseMidiMap(DEFAULT_MIDI_MAP);
+    }
+
+    // Outgoing note for a row: the first note mapped to it, else its GM note
+    function getMidiOutputNote(row) {
+        for (const [note, mappedRow] of getMidiNoteMap()) {
+            if (mappedRow === row) return note;
         }
+        return MIDI_DRUM_NOTES[tracks[row].sound];
     }
 
-    function updateStepHighlight(step) {
-        // Clear previous highlights
-        clearStepHighlight();
+    function setMidiNoteMap(text) {
+        if (!parseMidiMap(text)) {
+            showToast('Invalid note map');
+            return;
+        }
+        midiSettings.noteMap = text;
+        saveMidiSettings();
+    }
+
+    /**
+     * Incoming messages: notes trigger the mapped voices; with clock set
+     * to follow, clock and transport messages drive the sequencer.
+     */
+    function handleMidiMessage(e) {
+        const [status, data1, data2] = e.data;
+        const following = midiSettings.clock === 'follow';
         
-        // Highlight current column
-        const cells = elements.grid.querySelectorAll(`.cell[data-step="${step}"]`);
-        cells.forEach(cell => cell.classList.add('current-step'));
+        switch (status) {
+            case 0xF8:  // Clock
+                if (following) followMidiClock(e.timeStamp);
+                return;
+            case 0xFA:  // Start (Continue is ignored, see README)
+                if (following && audioCtx) {
+                    midiClockTimes = [];
+                    // Start is always from the top, even while playing
+                    stopSequencer();
+                    startSequencer();
+                    midiClockPulses = 0;
+                }
+                return;
+            case 0xFC:  // Stop
+                if (following) stopSequencer();
+                return;
+        }
         
-        // Update step indicator
-        const indicators = elements.stepIndicators.querySelectorAll('.step-indicator');
-        indicators.forEach((ind, i) => {
-            ind.classList.toggle('current', i === step);
-        });
+        // Note-on with velocity 0 is a note-off
+        if ((status & 0xF0) === 0x90 && data2 > 0) {
+            const row = getMidiNoteMap().get(data1);
+            if (row !== undefined) {
+                playPad(row, data2);
+            }
+        }
+    }
+
+    /**
+     * Derive BPM from the spacing of incoming clock pulses, averaged over
+     * a beat so jittery USB timing doesn't make the tempo wobble, and,
+     * once the master has sent Start, keep the steps locked to its pulses.
+     */
+    function followMidiClock(timeStamp) {
+        if (midiClockPulses !== null && isPlaying) {
+            const pulsesPerStep = Math.round(CONFIG.midiClocksPerQuarter * getStepQuarters());
+            if (midiClockPulses % pulsesPerStep === 0) {
+                const time = audioCtx.currentTime - (performance.now() - timeStamp) / 1000;
+                syncToMidiClock(midiClockPulses / pulsesPerStep, time);
+            }
+            midiClockPulses++;
+        }
+        
+        midiClockTimes.push(timeStamp);
+        if (midiClockTimes.length > CONFIG.midiClockWindow) {
+            midiClockTimes.shift();
+        }
+        if (midiClockTimes.length < CONFIG.midiClockWindow) return;
+        
+        const span = midiClockTimes[midiClockTimes.length - 1] - midiClockTimes[0];
+        const pulseMs = span / (midiClockTimes.length - 1);
+        // Tenths, like Tap: finer than that is USB jitter
+        const newBpm = Math.round(600000 / (pulseMs * CONFIG.midiClocksPerQuarter)) / 10;
+        
+        if (newBpm !== bpm) {
+            setBpm(newBpm);
+        }
+    }
+
+    /**
+     * The master's pulses say step (counted from its Start) falls at time.
+     * The steps not yet scheduled are moved part of the way towards where
+     * the master has them, so drift is pulled back in without jumps.
+     * A step that would land in the past plays straight away.
+     */
+    function syncToMidiClock(step, time) {
+        const expected = time + (transport.stepCount - step) * getTransportStepDuration(transport);
+        const drift = expected - transport.nextStepTime;
+        transport.nextStepTime = Math.max(audioCtx.currentTime,
+            transport.nextStepTime + drift * CONFIG.midiClockCorrection);
     }
 
-    function clearStepHighlight() {
-        elements.grid.querySelectorAll('.cell.current-step').forEach(cell => {
-            cell.classList.remove('current-step');
-        });
-        elements.stepIndicators.querySelectorAll('.step-indicator.current').forEach(ind => {
-            ind.classList.remove('current');
-        });
+    // Web MIDI timestamps are on the performance.now() clock
+    function audioTimeToMidi(time) {
+        return performance.now() + Math.max(0, time - audioCtx.currentTime) * 1000;
     }
 
-    // =========================================
-    // Waveform Visualization
-    // =========================================
-    function drawWaveform() {
-        if (!analyser || !elements.waveform || !waveformDataArray) {
-            requestAnimationFrame(drawWaveform);
+    // Mirror a scheduled hit to the output port
+    // Ratchet repeats end each note before the next starts
+    function sendMidiHit(row, time, velocity, gap, synthNote) {
+        const output = getMidiOutput();
+        if (!output) return;
+        
+        const channel = midiSettings.channel - 1;
+        const start = audioTimeToMidi(time);
+        if (synthNote) {
+            sendMidiSynthNote(output, channel, row, start, velocity, synthNote);
             return;
         }
+        const note = getMidiOutputNote(row);
+        const length = Math.min(getStepDuration(transport.bpm) * CONFIG.midiNoteSteps, gap || Infinity);
+        output.send([0x90 | channel, note, velocity], start);
+        output.send([0x80 | channel, note, 0], start + length * 1000);
+    }
+
+    /**
+     * Note tracks play their own notes. A held note stays on until the
+     * next hit: the same pitch carries on, another pitch starts before
+     * the held one ends, so a mono synth slides instead of retriggering.
+     */
+    function sendMidiSynthNote(output, channel, row, start, velocity, note) {
+        const held = midiHeldNotes.get(row);
+        midiHeldNotes.delete(row);
         
-        const canvas = elements.waveform;
-        const ctx = canvas.getContext('2d');
-        const width = canvas.width;
-        const height = canvas.height;
-        
-        // Get waveform data (reusing pre-allocated array)
-        analyser.getByteTimeDomainData(waveformDataArray);
-        
-        // Clear canvas
-        ctx.fillStyle = '#0d0d0f';
-        ctx.fillRect(0, 0, width, height);
-        
-        // Draw waveform
-        ctx.lineWidth = 2;
-        ctx.strokeStyle = '#bf5af2';
-        ctx.shadowColor = '#bf5af2';
-        ctx.shadowBlur = 10;
-        
-        ctx.beginPath();
-        
-        const bufferLength = waveformDataArray.length;
-        const sliceWidth = width / bufferLength;
-        let x = 0;
-        
-        for (let i = 0; i < bufferLength; i++) {
-            const v = waveformDataArray[i] / 128.0;
-            const y = (v * height) / 2;
-            
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-            
-            x += sliceWidth;
+        if (!held || held.pitch !== note.pitch) {
+            output.send([0x90 | channel, note.pitch, velocity], start);
+            if (held) output.send([0x80 | held.channel, held.pitch, 0], start + 1);
+        }
+        if (note.hold) {
+            midiHeldNotes.set(row, { pitch: note.pitch, channel });
+        } else {
+            output.send([0x80 | channel, note.pitch, 0], start + note.duration * CONFIG.synthGate * 1000);
         }
-        
-        ctx.lineTo(width, height / 2);
-        ctx.stroke();
-        
-        // Draw center line
-        ctx.shadowBlur = 0;
-        ctx.strokeStyle = 'rgba(191, 90, 242, 0.3)';
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(0, height / 2);
-        ctx.lineTo(width, height / 2);
-        ctx.stroke();
-        
-        requestAnimationFrame(drawWaveform);
     }
 
-    // =========================================
-    // Storage
-    // =========================================
-    function savePattern() {
-        try {
-            const data = {
-                pattern: pattern,
-                bpm: bpm,
-                savedAt: new Date().toISOString()
-            };
-            localStorage.setItem(CONFIG.storageKey, JSON.stringify(data));
-            showToast('Pattern saved');
-        } catch (e) {
-            showToast('Could not save pattern');
-            console.error('Save error:', e);
+    /**
+     * Clock pulses and hits go out up to CONFIG.scheduleAheadTime early.
+     * Stopping drops them from the output's queue first, so nothing
+     * arrives after Stop, then ends every note: the queue held their
+     * note-offs too.
+     */
+    function stopMidiOutput() {
+        const output = getMidiOutput();
+        if (output && output.clear) {
+            output.clear();
+            output.send([0xB0 | (midiSettings.channel - 1), 123, 0]);  // All notes off
         }
+        sendMidiRealtime(0xFC, audioCtx.currentTime);  // Stop
+        releaseMidiNotes();
     }
 
-    function loadPattern() {
-        try {
-            const data = localStorage.getItem(CONFIG.storageKey);
-            if (!data) {
-                showToast('No saved pattern found');
-                return;
-            }
-            
-            const parsed = JSON.parse(data);
-            
-            // Validate pattern structure
-            if (Array.isArray(parsed.pattern) && 
-                parsed.pattern.length === CONFIG.rows &&
-                parsed.pattern[0].length === CONFIG.steps) {
-                pattern = parsed.pattern;
-                updateGridDisplay();
-                
-                if (parsed.bpm) {
-                    setBpm(parsed.bpm);
-                    elements.bpmSlider.value = bpm;
-                }
-                
-                showToast('Pattern loaded');
-            } else {
-                showToast('Invalid saved pattern');
-            }
-        } catch (e) {
-            showToast('Could not load pattern');
-            console.error('Load error:', e);
+    // Stopping ends any held notes
+    function releaseMidiNotes() {
+        const output = getMidiOutput();
+        midiHeldNotes.forEach(held => {
+            if (output) output.send([0x80 | held.channel, held.pitch, 0]);
+        });
+        midiHeldNotes.clear();
+    }
+
+    // Clock pulses for one step, on the straight grid (swing is ours alone)
+    function sendMidiClock(stepTime) {
+        if (midiSettings.clock !== 'send') return;
+        const output = getMidiOutput();
+        if (!output) return;
+        
+        const pulses = Math.round(CONFIG.midiClocksPerQuarter * getStepQuarters());
+        const pulse = getTransportStepDuration(transport) / pulses;
+        for (let i = 0; i < pulses; i++) {
+            output.send([0xF8], audioTimeToMidi(stepTime + i * pulse));
         }
     }
 
+    function sendMidiRealtime(status, time) {
+        if (midiSettings.clock !== 'send') return;
+        const output = getMidiOutput();
+        if (output) output.send([status], audioTimeToMidi(time));
+    }
+
     // =========================================
     // Toast Notifications
     // =========================================
@@ -718,30 +6760,158 @@
     // =========================================
     // Event Handlers
     // =========================================
+    // Steps past a track's length can't be edited
+    function getPlayableCell(e) {
+        return e.target.closest('.cell:not(.out-of-range)');
+    }
+
     function handleGridClick(e) {
-        const cell = e.target.closest('.cell');
+        const cell = getPlayableCell(e);
         if (!cell) return;
         
+        // The press was a velocity drag, not a toggle
+        if (suppressGridClick) {
+            suppressGridClick = false;
+            return;
+        }
+        
         const row = parseInt(cell.dataset.row);
         const step = parseInt(cell.dataset.step);
         
-        toggleCell(row, step);
+        // Shift+click cycles the level instead of toggling
+        if (e.shiftKey) {
+            cycleCellVelocity(row, step);
+        } else {
+            toggleCell(row, step);
+        }
         
         // Play sound preview
-        playSound(SOUNDS[row]);
+        previewCell(row, step);
     }
 
     function handleGridKeydown(e) {
-        const cell = e.target.closest('.cell');
+        const cell = getPlayableCell(e);
         if (!cell) return;
         
         if (e.key === 'Enter' || e.key === ' ') {
             e.preventDefault();
             const row = parseInt(cell.dataset.row);
             const step = parseInt(cell.dataset.step);
-            toggleCell(row, step);
-            playSound(SOUNDS[row]);
+            if (e.shiftKey) {
+                cycleCellVelocity(row, step);
+            } else {
+                toggleCell(row, step);
+            }
+            previewCell(row, step);
+        } else if ((e.key === 'm' || e.key === 's') && !e.metaKey && !e.ctrlKey && !e.altKey) {
+            // M / S mute or solo the focused cell's track
+            e.preventDefault();
+            const row = parseInt(cell.dataset.row);
+            if (e.key === 'm') {
+                toggleMute(row);
+            } else {
+                toggleSolo(row);
+            }
+        } else if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            // Alt+Left/Right nudges an active step early/late by one tick
+            e.preventDefault();
+            const row = parseInt(cell.dataset.row);
+            const step = parseInt(cell.dataset.step);
+            const delta = e.key === 'ArrowLeft' ? -1 : 1;
+            setCellNudge(row, step, (pattern.grid[row][step].nudge || 0) + delta);
+        } else if (e.key === 'l' && !e.metaKey && !e.ctrlKey && !e.altKey) {
+            // L opens an active step's parameter locks
+            e.preventDefault();
+            const row = parseInt(cell.dataset.row);
+            const step = parseInt(cell.dataset.step);
+            if (!isCellActive(pattern.grid[row][step])) return;
+            openLocks(row, step);
+            elements.lockParams.querySelector('input').focus();
+        }
+    }
+
+    /**
+     * Vertical drag on a cell sets its velocity (up = louder).
+     * Dragging an empty cell switches it on.
+     * Horizontal drag on an active cell sets its micro-timing nudge instead;
+     * the first movement past the threshold decides which.
+     * Holding an active cell still opens its parameter locks, so on a touch
+     * screen another finger can turn a lock while the step is held.
+     */
+    function handleGridPointerDown(e) {
+        const cell = getPlayableCell(e);
+        suppressGridClick = false;
+        if (!cell) return;
+        
+        const row = parseInt(cell.dataset.row);
+        const step = parseInt(cell.dataset.step);
+        const velocity = pattern.grid[row][step].velocity;
+        
+        cellDrag = {
+            row,
+            step,
+            startX: e.clientX,
+            startY: e.clientY,
+            startVelocity: velocity > VELOCITY.off ? velocity : VELOCITY.normal,
+            startNudge: pattern.grid[row][step].nudge || 0,
+            axis: null,
+            moved: false,
+            held: false,
+            holdTimer: isCellActive(pattern.grid[row][step]) ? setTimeout(() => {
+                if (!cellDrag || cellDrag.moved) return;
+                cellDrag.held = true;
+                openLocks(row, step);
+            }, CONFIG.lockHoldMs) : null
+        };
+    }
+
+    function handleGridPointerMove(e) {
+        if (!cellDrag) return;
+        
+        const dx = e.clientX - cellDrag.startX;
+        const dy = cellDrag.startY - e.clientY;
+        if (!cellDrag.moved) {
+            if (cellDrag.held || Math.max(Math.abs(dx), Math.abs(dy)) < CONFIG.dragThreshold) return;
+            clearTimeout(cellDrag.holdTimer);
+            const cell = pattern.grid[cellDrag.row][cellDrag.step];
+            cellDrag.axis = Math.abs(dx) > Math.abs(dy) && isCellActive(cell) ? 'x' : 'y';
+        }
+        
+        cellDrag.moved = true;
+        if (cellDrag.axis === 'x') {
+            const ticks = cellDrag.startNudge + dx / CONFIG.dragPixelsPerNudgeTick;
+            setCellNudge(cellDrag.row, cellDrag.step, ticks);
+            return;
         }
+        
+        const velocity = cellDrag.startVelocity + dy * CONFIG.dragVelocityPerPixel;
+        // Never drag a step all the way off; that's what a click is for
+        setCellVelocity(cellDrag.row, cellDrag.step, Math.max(1, velocity));
+    }
+
+    function handleGridPointerUp() {
+        if (!cellDrag) return;
+        
+        clearTimeout(cellDrag.holdTimer);
+        if (cellDrag.moved || cellDrag.held) {
+            suppressGridClick = true;
+            if (cellDrag.moved) previewCell(cellDrag.row, cellDrag.step);
+        }
+        cellDrag = null;
+    }
+
+    // Preview a row's sound as the given step plays it (repeats at the straight step length)
+    function previewCell(row, step) {
+        const cell = pattern.grid[row][step];
+        if (!isCellActive(cell)) {
+            playTrack(row, velocityToLevel(VELOCITY.normal));
+            return;
+        }
+        const gap = getStepDuration() / (cell.ratchet || 1);
+        getRatchetHits(cell, getStepDuration()).forEach(hit => {
+            const note = isSynthTrack(row) ? getSynthNote(pattern, row, step, cell, gap, false) : null;
+            playTrack(row, velocityToLevel(hit.velocity), cell.locks, hit.offset, note);
+        });
     }
 
     function handleOverlayClick() {
@@ -763,6 +6933,12 @@
         elements.grid.addEventListener('click', handleGridClick);
         elements.grid.addEventListener('keydown', handleGridKeydown);
         
+        // Cell drags (move/up on document so the drag can leave the cell)
+        elements.grid.addEventListener('pointerdown', handleGridPointerDown);
+        document.addEventListener('pointermove', handleGridPointerMove);
+        document.addEventListener('pointerup', handleGridPointerUp);
+        document.addEventListener('pointercancel', handleGridPointerUp);
+        
         // Touch support for grid
         elements.grid.addEventListener('touchend', (e) => {
             e.preventDefault(); // Prevent double-firing with click
@@ -775,23 +6951,406 @@
             togglePlayback();
         });
         
-        // BPM slider
+        // Record
+        elements.recordBtn.addEventListener('click', toggleRecording);
+        elements.fillBtn.addEventListener('click', () => setFillMode(!fillMode));
+        
+        // BPM slider, exact entry (fractions allowed) and tap tempo
         elements.bpmSlider.addEventListener('input', (e) => {
+            pushHistory('Change tempo', 'bpm');
             setBpm(parseInt(e.target.value));
         });
+        elements.bpmInput.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (isFinite(value)) {
+                pushHistory('Change tempo', 'bpm');
+                setBpm(value);
+            }
+            e.target.value = bpm;
+        });
+        elements.tapBtn.addEventListener('click', tapTempo);
+        
+        // Swing slider
+        elements.swingSlider.addEventListener('input', (e) => {
+            setSwing(parseInt(e.target.value));
+        });
+        
+        // Pattern and per-track lengths
+        elements.lengthInput.addEventListener('change', (e) => {
+            setPatternLength(parseInt(e.target.value));
+        });
+        elements.meterSelect.addEventListener('change', (e) => {
+            changeTiming(e.target.value, resolution);
+        });
+        elements.resolutionSelect.addEventListener('change', (e) => {
+            changeTiming(meter, e.target.value);
+        });
+        elements.trackLengths.addEventListener('change', (e) => {
+            const input = e.target.closest('.track-length');
+            if (!input) return;
+            setTrackLength(parseInt(input.dataset.row), parseInt(input.value));
+        });
+        
+        // Track list: add, rename, remove, reorder (drag the handle or Alt+Up/Down)
+        elements.trackAddBtn.addEventListener('click', () => addTrack(elements.trackVoice.value));
+        elements.rowLabels.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('track-name')) return;
+            renameTrack(parseInt(e.target.closest('.label').dataset.row), e.target.value);
+        });
+        elements.rowLabels.addEventListener('keydown', (e) => {
+            if (!e.target.classList.contains('track-name')) return;
+            if (e.key === 'Enter') e.target.blur();
+            if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+            
+            e.preventDefault();
+            const row = parseInt(e.target.closest('.label').dataset.row);
+            const to = Math.max(0, Math.min(tracks.length - 1, row + (e.key === 'ArrowUp' ? -1 : 1)));
+            moveTrack(row, to);
+            elements.rowLabels.querySelectorAll('.track-name')[to].focus();
+        });
+        elements.rowLabels.addEventListener('click', (e) => {
+            const remove = e.target.closest('.track-remove');
+            if (remove) removeTrack(parseInt(remove.closest('.label').dataset.row));
+        });
+        elements.rowLabels.addEventListener('dragstart', (e) => {
+            const handle = e.target.closest('.track-handle');
+            if (!handle) return;
+            e.dataTransfer.setData(TRACK_DRAG_TYPE, handle.closest('.label').dataset.row);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        elements.rowLabels.addEventListener('dragover', (e) => {
+            const label = e.target.closest('.label');
+            if (!label || !isTrackDrag(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            elements.rowLabels.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+            label.classList.add('drag-over');
+        });
+        elements.rowLabels.addEventListener('dragend', () => {
+            elements.rowLabels.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        });
+        elements.rowLabels.addEventListener('drop', (e) => {
+            const label = e.target.closest('.label');
+            if (!label || !isTrackDrag(e)) return;
+            e.preventDefault();
+            moveTrack(parseInt(e.dataTransfer.getData(TRACK_DRAG_TYPE)), parseInt(label.dataset.row));
+        });
+        
+        // Audio export
+        elements.exportBtn.addEventListener('click', exportWav);
+        
+        // MIDI files
+        elements.midiExportBtn.addEventListener('click', exportMidi);
+        elements.midiImportBtn.addEventListener('click', () => elements.midiFile.click());
+        elements.midiFile.addEventListener('change', () => {
+            const file = elements.midiFile.files[0];
+            // Reset so picking the same file again still fires change
+            elements.midiFile.value = '';
+            if (file) importMidi(file);
+        });
+        elements.midiMap.addEventListener('change', () => setMidiNoteMap(elements.midiMap.value));
+        
+        // Share links and JSON files
+        elements.shareBtn.addEventListener('click', copyShareLink);
+        elements.jsonExportBtn.addEventListener('click', exportJson);
+        elements.jsonImportBtn.addEventListener('click', () => elements.jsonFile.click());
+        elements.jsonFile.addEventListener('change', () => {
+            const file = elements.jsonFile.files[0];
+            elements.jsonFile.value = '';
+            if (file) importJson(file);
+        });
+        window.addEventListener('hashchange', loadShareLink);
+        
+        // Web MIDI devices
+        elements.midiConnectBtn.addEventListener('click', connectMidi);
+        elements.midiInput.addEventListener('change', () => {
+            midiSettings.input = elements.midiInput.value;
+            saveMidiSettings();
+            bindMidiInput();
+        });
+        elements.midiOutput.addEventListener('change', () => {
+            midiSettings.output = elements.midiOutput.value;
+            saveMidiSettings();
+        });
+        elements.midiChannel.addEventListener('change', () => {
+            midiSettings.channel = Math.max(1, Math.min(16, parseInt(elements.midiChannel.value, 10) || 1));
+            elements.midiChannel.value = midiSettings.channel;
+            saveMidiSettings();
+        });
+        elements.midiClock.addEventListener('change', () => {
+            midiSettings.clock = elements.midiClock.value;
+            midiClockTimes = [];
+            saveMidiSettings();
+        });
+        
+        // Pattern bank
+        elements.bank.addEventListener('click', (e) => {
+            const button = e.target.closest('.bank-btn');
+            if (button) requestPattern(parseInt(button.dataset.index));
+        });
+        elements.patternName.addEventListener('input', (e) => {
+            renamePattern(e.target.value);
+        });
+        elements.copyBtn.addEventListener('click', copyPattern);
+        elements.pasteBtn.addEventListener('click', pastePattern);
+        elements.patternTempo.addEventListener('change', (e) => {
+            setPatternTempo(parseFloat(e.target.value), elements.patternRamp.checked);
+        });
+        elements.patternRamp.addEventListener('change', (e) => {
+            setPatternTempo(parseFloat(elements.patternTempo.value), e.target.checked);
+        });
+        
+        // Song mode
+        elements.songModeBtn.addEventListener('click', () => setSongMode(!songMode));
+        elements.songAddBtn.addEventListener('click', addSongEntry);
+        elements.songChain.addEventListener('change', (e) => {
+            const item = e.target.closest('.song-entry');
+            if (!item) return;
+            const index = parseInt(item.dataset.index);
+            if (e.target.classList.contains('song-tempo')) {
+                updateSongEntry(index, 'tempo', parseFloat(e.target.value));
+            } else if (e.target.classList.contains('song-ramp')) {
+                updateSongEntry(index, 'ramp', e.target.checked);
+            } else {
+                const field = e.target.classList.contains('song-pattern') ? 'pattern' : 'repeats';
+                updateSongEntry(index, field, parseInt(e.target.value));
+            }
+        });
+        elements.songChain.addEventListener('click', (e) => {
+            const remove = e.target.closest('.song-remove');
+            if (remove) removeSongEntry(parseInt(remove.closest('.song-entry').dataset.index));
+        });
+        
+        // Pattern library
+        elements.librarySaveBtn.addEventListener('click', () => {
+            saveToLibrary(elements.libraryName.value || pattern.name, parseTags(elements.libraryTags.value));
+            elements.libraryName.value = '';
+            elements.libraryTags.value = '';
+        });
+        elements.libraryFilter.addEventListener('input', renderLibrary);
+        elements.libraryList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const id = button.closest('.library-entry').dataset.id;
+            if (button.dataset.action === 'load') loadLibraryEntry(id);
+            if (button.dataset.action === 'duplicate') duplicateLibraryEntry(id);
+            if (button.dataset.action === 'delete') deleteLibraryEntry(id);
+        });
+        elements.libraryList.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('library-entry-name')) return;
+            renameLibraryEntry(e.target.closest('.library-entry').dataset.id, e.target.value);
+        });
+        // Preview on hover (or keyboard focus)
+        ['mouseover', 'focusin'].forEach(type => {
+            elements.libraryList.addEventListener(type, (e) => {
+                const item = e.target.closest('.library-entry');
+                if (item) showLibraryPreview(item.dataset.id);
+            });
+        });
+        elements.libraryList.addEventListener('mouseleave', hideLibraryPreview);
+        elements.libraryList.addEventListener('focusout', hideLibraryPreview);
+        
+        // Mixer strips
+        elements.mixer.addEventListener('click', (e) => {
+            const strip = e.target.closest('.mixer-strip');
+            if (!strip) return;
+            const row = parseInt(strip.dataset.row);
+            if (e.target.closest('.mixer-mute')) toggleMute(row);
+            if (e.target.closest('.mixer-solo')) toggleSolo(row);
+            if (e.target.closest('.mixer-name')) selectSoundTrack(row);
+        });
+        elements.mixer.addEventListener('input', (e) => {
+            const strip = e.target.closest('.mixer-strip');
+            if (!strip) return;
+            const row = parseInt(strip.dataset.row);
+            const value = parseInt(e.target.value) / 100;
+            if (e.target.classList.contains('mixer-volume')) setTrackVolume(row, value);
+            if (e.target.classList.contains('mixer-pan')) setTrackPan(row, value);
+            if (e.target.classList.contains('mixer-send')) setTrackSend(row, e.target.dataset.bus, value);
+        });
+        
+        // Step editor: trig chance/condition and parameter locks
+        elements.stepChance.addEventListener('input', (e) => {
+            if (lockTarget) setCellChance(lockTarget.row, lockTarget.step, parseInt(e.target.value));
+        });
+        elements.stepCondition.addEventListener('change', (e) => {
+            if (lockTarget) setCellCondition(lockTarget.row, lockTarget.step, e.target.value);
+        });
+        elements.stepRatchet.addEventListener('change', (e) => {
+            if (!lockTarget) return;
+            setCellRatchet(lockTarget.row, lockTarget.step, parseInt(e.target.value));
+            previewCell(lockTarget.row, lockTarget.step);
+        });
+        elements.stepRamp.addEventListener('change', (e) => {
+            if (lockTarget) setCellRamp(lockTarget.row, lockTarget.step, e.target.value);
+        });
+        elements.lockParams.addEventListener('input', (e) => {
+            const name = e.target.dataset.param;
+            if (name && lockTarget) setCellLock(lockTarget.row, lockTarget.step, name, parseFloat(e.target.value));
+        });
+        elements.lockParams.addEventListener('change', () => {
+            if (lockTarget) previewCell(lockTarget.row, lockTarget.step);
+        });
+        elements.lockParams.addEventListener('click', (e) => {
+            const unlock = e.target.closest('.lock-unlock');
+            if (!unlock || !lockTarget) return;
+            clearCellLock(lockTarget.row, lockTarget.step, unlock.dataset.param);
+        });
+        elements.lockClearBtn.addEventListener('click', () => {
+            if (lockTarget) clearCellLock(lockTarget.row, lockTarget.step);
+        });
+        elements.lockCloseBtn.addEventListener('click', () => {
+            const cell = elements.grid.querySelector('.cell.lock-target');
+            closeLocks();
+            if (cell) cell.focus();
+        });
+        elements.lockEditor.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') elements.lockCloseBtn.click();
+        });
+        
+        // Master effects
+        elements.fxUnits.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.fx-toggle');
+            if (toggle) toggleFx(toggle.closest('.fx-unit').dataset.effect);
+        });
+        elements.fxUnits.addEventListener('input', (e) => {
+            const name = e.target.dataset.param;
+            if (!name) return;
+            const effect = e.target.closest('.fx-unit').dataset.effect;
+            setFxParam(effect, name, readFxControl(FX_PARAMS[effect].params[name], e.target.value));
+        });
+        
+        // Sound editor
+        elements.soundTrack.addEventListener('change', (e) => {
+            selectSoundTrack(parseInt(e.target.value));
+        });
+        elements.soundParams.addEventListener('input', (e) => {
+            const name = e.target.dataset.param;
+            if (name) setSoundParam(editingTrack, name, parseFloat(e.target.value));
+        });
+        elements.soundResetBtn.addEventListener('click', () => resetSound(editingTrack));
+        
+        // Samples: file picker, or drop a file on a row or the sound editor
+        elements.sampleLoadBtn.addEventListener('click', () => elements.sampleFile.click());
+        elements.sampleFile.addEventListener('change', () => {
+            const file = elements.sampleFile.files[0];
+            elements.sampleFile.value = '';
+            if (file) loadSampleFile(editingTrack, file);
+        });
+        elements.sampleStart.addEventListener('input', (e) => {
+            setSampleStart(editingTrack, parseInt(e.target.value) / 100);
+        });
+        elements.trackChoke.addEventListener('change', (e) => {
+            setTrackChoke(editingTrack, parseInt(e.target.value));
+        });
+        elements.sampleClearBtn.addEventListener('click', () => clearSample(editingTrack));
+        [elements.gridContainer, elements.soundSection].forEach(zone => {
+            zone.addEventListener('dragover', (e) => {
+                if (!isFileDrag(e)) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                zone.classList.add('file-over');
+            });
+            zone.addEventListener('dragleave', (e) => {
+                if (!zone.contains(e.relatedTarget)) zone.classList.remove('file-over');
+            });
+            zone.addEventListener('drop', (e) => {
+                if (!isFileDrag(e)) return;
+                e.preventDefault();
+                zone.classList.remove('file-over');
+                
+                // Rows take the file themselves; the editor loads its own track
+                const target = e.target.closest('[data-row]');
+                const row = zone === elements.gridContainer ?
+                    (target ? parseInt(target.dataset.row) : NaN) : editingTrack;
+                const file = e.dataTransfer.files[0];
+                if (!file) return;
+                if (isNaN(row)) {
+                    showToast('Drop the sample on a track');
+                    return;
+                }
+                loadSampleFile(row, file);
+            });
+        });
+        
+        // Kit presets
+        elements.kitLoadBtn.addEventListener('click', () => applyKit(elements.kitSelect.value));
+        elements.kitSaveBtn.addEventListener('click', () => saveKit(elements.kitName.value));
+        elements.kitDeleteBtn.addEventListener('click', () => deleteKit(elements.kitSelect.value));
         
         // Pattern controls
         elements.clearBtn.addEventListener('click', clearPattern);
         elements.randomBtn.addEventListener('click', randomizePattern);
         
+        // Generator
+        elements.genBtn.addEventListener('click', () => {
+            const seed = parseInt(elements.genSeed.value);
+            if (Number.isInteger(seed) && seed >= 0 && seed < CONFIG.maxGeneratorSeed) {
+                generatePattern(elements.genStyle.value, seed);
+            } else {
+                randomizePattern();
+            }
+        });
+        elements.mutateAmount.addEventListener('input', updateMutateDisplay);
+        elements.mutateBtn.addEventListener('click', () => {
+            mutatePattern(parseInt(elements.mutateAmount.value) / 100);
+        });
+        elements.euclidTrack.addEventListener('change', () => {
+            elements.euclidSteps.value = getTrackLength(parseInt(elements.euclidTrack.value));
+        });
+        elements.euclidBtn.addEventListener('click', () => {
+            fillEuclidean(parseInt(elements.euclidTrack.value), parseInt(elements.euclidHits.value),
+                parseInt(elements.euclidSteps.value), parseInt(elements.euclidRotation.value));
+        });
+        elements.undoBtn.addEventListener('click', undo);
+        elements.redoBtn.addEventListener('click', redo);
+        
+        // Piano roll: Shift+click on a note cycles its level (accent)
+        elements.rollTrack.addEventListener('change', () => {
+            rollRow = parseInt(elements.rollTrack.value);
+            renderRoll();
+        });
+        [elements.rollKey, elements.rollScale].forEach(select => {
+            select.addEventListener('change', () => {
+                setTrackScale(rollRow, parseInt(elements.rollKey.value), elements.rollScale.value);
+            });
+        });
+        elements.roll.addEventListener('click', (e) => {
+            const flag = e.target.closest('.roll-flag');
+            if (flag) {
+                toggleCellFlag(rollRow, parseInt(flag.dataset.step), flag.dataset.flag);
+                return;
+            }
+            const cell = e.target.closest('.roll-cell');
+            if (!cell) return;
+            
+            const step = parseInt(cell.dataset.step);
+            if (e.shiftKey && cell.classList.contains('active')) {
+                cycleCellVelocity(rollRow, step);
+            } else {
+                setCellNote(rollRow, step, parseInt(cell.dataset.note));
+            }
+            previewCell(rollRow, step);
+        });
+        
         // Storage controls
         elements.saveBtn.addEventListener('click', savePattern);
         elements.loadBtn.addEventListener('click', loadPattern);
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            // Don't trigger if typing in an input
-            if (e.target.tagName === 'INPUT') return;
+            // Don't trigger if typing in an input or using a dropdown
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            
+            // Pads: Shift plays an accent
+            const padRow = getPadRow(e.code);
+            if (padRow !== null) {
+                if (!e.repeat && !e.metaKey && !e.ctrlKey && !e.altKey) {
+                    initAudio();
+                    playPad(padRow, e.shiftKey ? VELOCITY.accent : VELOCITY.normal);
+                }
+                return;
+            }
             
             switch(e.code) {
                 case 'Space':
@@ -805,15 +7364,44 @@
                 case 'KeyR':
                     if (!e.metaKey && !e.ctrlKey) randomizePattern();
                     break;
+                case 'KeyF':
+                    if (!e.metaKey && !e.ctrlKey) setFillMode(!fillMode);
+                    break;
+                case 'KeyT':
+                    if (!e.metaKey && !e.ctrlKey) tapTempo();
+                    break;
                 case 'KeyS':
                     if (e.metaKey || e.ctrlKey) {
                         e.preventDefault();
                         savePattern();
                     }
                     break;
+                case 'KeyZ':
+                    if (e.metaKey || e.ctrlKey) {
+                        e.preventDefault();
+                        if (e.shiftKey) {
+                            redo();
+                        } else {
+                            undo();
+                        }
+                    }
+                    break;
+                case 'KeyY':
+                    if (e.ctrlKey) {
+                        e.preventDefault();
+                        redo();
+                    }
+                    break;
             }
         });
         
+        // Another tab changed the library
+        window.addEventListener('storage', (e) => {
+            if (e.key !== CONFIG.libraryStorageKey) return;
+            libraryCache = null;
+            renderLibrary();
+        });
+        
         // Handle visibility change (pause when tab hidden)
         document.addEventListener('visibilitychange', () => {
             if (document.hidden && isPlaying) {
@@ -821,6 +7409,11 @@
             }
         });
         
+        elements.vizMode.addEventListener('change', (e) => {
+            setVisualizerMode(e.target.value);
+        });
+        elements.clipBtn.addEventListener('click', () => setClipped(false));
+        
         // Handle window resize for canvas
         window.addEventListener('resize', resizeCanvas);
     }
@@ -833,6 +7426,8 @@
         // Only resize if significantly different
         if (Math.abs(canvas.width - rect.width) > 10) {
             canvas.width = rect.width - 32; // Account for padding
+            buildSpectrumScale();
+            wakeVisualizer();  // Resizing clears the canvas
         }
     }
 
@@ -841,29 +7436,45 @@
     // =========================================
     function init() {
         cacheElements();
-        buildGrid();
-        buildStepIndicators();
+        buildBankButtons();
+        buildMixer();
+        buildSoundEditor();
+        buildVoiceOptions();
+        buildFxPanel();
+        buildLockEditor();
+        buildGenerator();
+        buildTimingOptions();
+        buildRollControls();
+        renderKitOptions();
+        showPattern();
+        renderSong();
+        midiSettings = loadMidiSettings();
+        elements.midiMap.value = midiSettings.noteMap;
+        renderMidiPorts();
+        renderHistoryButtons();
         setupEventListeners();
         resizeCanvas();
         
-        // Check for saved pattern on load
-        const savedData = localStorage.getItem(CONFIG.storageKey);
-        if (savedData) {
+        // Pick up where the last save left off
+        migrateLegacySave();
+        const newest = getNewestEntry(getLibrary());
+        if (newest) {
             try {
-                const parsed = JSON.parse(savedData);
-                if (parsed.pattern) {
-                    pattern = parsed.pattern;
-                    updateGridDisplay();
-                }
-                if (parsed.bpm) {
-                    bpm = parsed.bpm;
-                    elements.bpmSlider.value = bpm;
-                    elements.bpmValue.textContent = bpm;
-                }
+                applySavedData(newest.data);
+                currentLibraryId = newest.id;
             } catch (e) {
                 console.error('Failed to restore pattern:', e);
             }
         }
+        renderLibrary();
+        
+        // A share link wins over the last save
+        loadShareLink();
+        
+        // Devices were allowed before, so this shouldn't prompt again
+        if (midiSettings.enabled) {
+            connectMidi();
+        }
     }
 
     // Start when DOM is ready